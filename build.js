@@ -17,9 +17,14 @@ if (!fs.existsSync(distDir)) {
 // Read source files in order
 const files = [
     'utils.js',
+    'confirm-dialog.js',
+    'frame-modal.js',
     'action-router.js',
     'keyboard.js',
     'cursor-mode.js',
+    'selection.js',
+    'condition-parser.js',
+    'fuzzy-match.js',
     'context-menu.js',
     'settings-panel.js',
     'vis-integration.js',
@@ -28,6 +33,11 @@ const files = [
     'qastone-parser.js',
     'ai-assistant.js',
     'menu-customizer.js',
+    'command-palette.js',
+    'shortcut-help.js',
+    'progress-indicator.js',
+    'action-queue.js',
+    'macro-recorder.js',
     'index.js'
 ];
 
@@ -83,10 +93,23 @@ files.forEach(file => {
         deepMerge,
         copyToClipboard,
         showToast,
+        escapeHtml,
+        renderIcon,
         getElementData,
         findContextParent
     };
 
+`;
+    }
+
+    if (file === 'fuzzy-match.js') {
+        bundle += `    // Create fuzzy object for import * as fuzzy compatibility
+    const fuzzy = {
+        fuzzyMatch,
+        fuzzyFilter,
+        highlightMatches
+    };
+
 `;
     }
 });
@@ -104,6 +127,15 @@ bundle += `
     global.ZtgiAiAssistant = AiAssistant;
     global.ZtgiMenuCustomizer = MenuCustomizer;
     global.ZtgiQAStoneParser = QAStoneParser;
+    global.ZtgiConditionParser = ConditionParser;
+    global.ZtgiSelectionManager = SelectionManager;
+    global.ZtgiCommandPalette = CommandPalette;
+    global.ZtgiShortcutHelp = ShortcutHelp;
+    global.ZtgiConfirmDialog = ConfirmDialog;
+    global.ZtgiFrameModal = FrameModal;
+    global.ZtgiProgressIndicator = ProgressIndicator;
+    global.ZtgiActionQueue = ActionQueue;
+    global.ZtgiMacroRecorder = MacroRecorder;
 
 })(typeof window !== 'undefined' ? window : this);
 `;
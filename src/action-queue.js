@@ -0,0 +1,531 @@
+/**
+ * Action Queue
+ *
+ * Durable offline queue for remote actions. When an action flagged
+ * `queueable` can't reach its endpoint (network failure, timeout, 5xx), it is
+ * saved to IndexedDB instead of failing and replayed once the endpoint's
+ * health check passes again. Entries are deduped by idempotency key, which is
+ * also sent as the Idempotency-Key header so the backend can ignore repeats.
+ *
+ * A badge in the corner lists queued actions, each with Retry and Cancel.
+ *
+ * Usage:
+ *   ZtgiUI.actions.setMeta('cnp.spawnAgent', { queueable: true, idempotencyKey: 'spawn-{hash8}' });
+ *   ZtgiUI.queue.getEntries();
+ *   ZtgiUI.queue.replay('cnp');
+ *   document.addEventListener('ztgi:queue', (e) => console.log(e.detail.type, e.detail.entry));
+ */
+
+import { showToast } from './utils.js';
+
+class ActionQueue {
+    constructor(ztgiInstance) {
+        this.ztgi = ztgiInstance;
+        this.dbName = 'ztgi-ui-action-queue';
+        this.storeName = 'actions';
+        this.db = null;
+        this.entries = new Map();   // idempotency key -> entry
+        this.offline = new Set();   // endpoints whose health check is failing
+        this.replaying = new Set();
+        this.healthPath = '/health';
+        this.healthCheckInterval = 15000;
+        this.healthTimer = null;
+        this.badge = null;
+        this.panel = null;
+        this.onOnline = () => this.checkAll();
+    }
+
+    /**
+     * Open storage, restore queued actions and start checking their endpoints
+     */
+    async init() {
+        this.addStyles();
+        this.createElements();
+
+        this.db = await this.openDatabase();
+        await this.load();
+
+        // The browser coming back online is a good moment to check
+        window.addEventListener('online', this.onOnline);
+
+        this.render();
+        if (this.getPending().length > 0) {
+            this.startHealthChecks();
+            this.checkAll();
+        }
+
+        return this;
+    }
+
+    // ==================== Storage ====================
+
+    openDatabase() {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('[ActionQueue] IndexedDB unavailable, queued actions are kept in memory only');
+            return Promise.resolve(null);
+        }
+
+        return new Promise((resolve) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('[ActionQueue] Could not open IndexedDB:', request.error);
+                resolve(null);
+            };
+        });
+    }
+
+    // Run one request against the store; resolves with its result (null without storage)
+    transact(mode, fn) {
+        if (!this.db) return Promise.resolve(null);
+
+        return new Promise((resolve) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            const request = fn(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => {
+                console.error('[ActionQueue] Storage error:', tx.error);
+                resolve(null);
+            };
+        });
+    }
+
+    async load() {
+        const stored = await this.transact('readonly', store => store.getAll());
+        (stored || []).forEach(entry => {
+            // Anything mid-send when the page closed goes back to pending
+            if (entry.status === 'sending') entry.status = 'pending';
+            this.entries.set(entry.key, entry);
+        });
+    }
+
+    persist(entry) {
+        return this.transact('readwrite', store => store.put(entry));
+    }
+
+    // ==================== Queue ====================
+
+    /**
+     * Queue an action that couldn't reach its endpoint. An action already
+     * queued under the same idempotency key isn't added twice.
+     */
+    async enqueue(action, data, error = null) {
+        const router = this.ztgi.actions;
+        const key = router.getIdempotencyKey(action, data);
+        const [app, method] = action.split('.');
+
+        const existing = this.entries.get(key);
+        if (existing) {
+            this.markOffline(app);
+            return existing;
+        }
+
+        const entry = {
+            key,
+            action,
+            app,
+            method,
+            data,
+            label: router.getMeta(action).label || action,
+            status: 'pending',
+            attempts: 1,
+            lastError: error ? error.message : null,
+            queuedAt: Date.now()
+        };
+
+        this.entries.set(key, entry);
+        await this.persist(entry);
+        this.markOffline(app);
+
+        console.log(`[ActionQueue] Queued ${action} until ${app} is reachable`);
+        showToast(`${entry.label} queued — will send when ${app} is back`, 4000);
+        this.emit('enqueue', entry);
+        this.render();
+        return entry;
+    }
+
+    /**
+     * Send pending actions for an endpoint, oldest first. Stops if the
+     * endpoint goes down again.
+     */
+    async replay(app) {
+        if (this.replaying.has(app)) return;
+
+        const pending = this.getPending().filter(entry => entry.app === app);
+        if (pending.length === 0) return;
+
+        this.replaying.add(app);
+        try {
+            for (const entry of pending) {
+                if (!this.entries.has(entry.key)) continue; // cancelled meanwhile
+                const sent = await this.send(entry);
+                if (!sent && this.offline.has(app)) break;
+            }
+        } finally {
+            this.replaying.delete(app);
+        }
+    }
+
+    // Send one queued entry; true when the backend accepted it
+    async send(entry) {
+        const router = this.ztgi.actions;
+        entry.status = 'sending';
+        entry.attempts++;
+        this.render();
+
+        try {
+            const result = await router.apiCall(entry.app, entry.method, entry.data, {
+                policy: router.getPolicy(entry.action),
+                idempotencyKey: entry.key
+            });
+
+            await this.remove(entry.key);
+            showToast(`Sent: ${entry.label}`);
+            this.emit('sent', entry, { result });
+
+            // It went through, so the endpoint is back
+            if (this.offline.delete(entry.app)) this.replay(entry.app);
+            return true;
+        } catch (error) {
+            entry.lastError = error.message;
+            if (router.isRetryable(error)) {
+                entry.status = 'pending';
+                this.markOffline(entry.app);
+            } else {
+                // Rejected by the backend; leave it for the user to retry or cancel
+                entry.status = 'failed';
+            }
+
+            if (this.entries.has(entry.key)) await this.persist(entry);
+            this.emit('failed', entry, { error });
+            this.render();
+            return false;
+        }
+    }
+
+    /**
+     * Send a queued action now, whatever its endpoint's last health check said
+     */
+    retry(key) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.status === 'sending') return Promise.resolve(false);
+        return this.send(entry);
+    }
+
+    /**
+     * Drop a queued action without sending it
+     */
+    async cancel(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+
+        await this.remove(key);
+        this.emit('cancel', entry);
+        return true;
+    }
+
+    async remove(key) {
+        this.entries.delete(key);
+        await this.transact('readwrite', store => store.delete(key));
+        this.render();
+    }
+
+    // Queued actions, oldest first
+    getEntries() {
+        return Array.from(this.entries.values()).sort((a, b) => a.queuedAt - b.queuedAt);
+    }
+
+    getPending() {
+        return this.getEntries().filter(entry => entry.status === 'pending');
+    }
+
+    // ==================== Health checks ====================
+
+    isOffline(app) {
+        return this.offline.has(app);
+    }
+
+    markOffline(app) {
+        this.offline.add(app);
+        this.startHealthChecks();
+    }
+
+    startHealthChecks() {
+        if (this.healthTimer) return;
+        this.healthTimer = setInterval(() => this.checkAll(), this.healthCheckInterval);
+    }
+
+    stopHealthChecks() {
+        clearInterval(this.healthTimer);
+        this.healthTimer = null;
+    }
+
+    // Check every endpoint that is offline or has actions waiting
+    async checkAll() {
+        const apps = new Set([...this.offline, ...this.getPending().map(entry => entry.app)]);
+        if (apps.size === 0) {
+            this.stopHealthChecks();
+            return;
+        }
+
+        for (const app of apps) {
+            await this.checkHealth(app);
+        }
+    }
+
+    /**
+     * Check an endpoint; replays its queue when it's reachable
+     */
+    async checkHealth(app) {
+        const endpoint = this.ztgi.actions.getApiEndpoint(app);
+        if (!endpoint) return false;
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 3000);
+
+        try {
+            const response = await fetch(`${endpoint}${this.healthPath}`, {
+                method: 'GET',
+                signal: controller.signal
+            });
+
+            if (response.ok) {
+                if (this.offline.delete(app)) {
+                    console.log(`[ActionQueue] ${app} is reachable again`);
+                    this.emit('online', null, { app });
+                }
+                await this.replay(app);
+                return true;
+            }
+        } catch (error) {
+            // Still unreachable
+        } finally {
+            clearTimeout(timeout);
+        }
+
+        this.offline.add(app);
+        return false;
+    }
+
+    emit(type, entry, extra = {}) {
+        document.dispatchEvent(new CustomEvent('ztgi:queue', {
+            detail: { type, entry, count: this.entries.size, ...extra }
+        }));
+    }
+
+    // ==================== UI ====================
+
+    createElements() {
+        this.badge = document.createElement('button');
+        this.badge.className = 'ztgi-queue-badge';
+        this.badge.style.display = 'none';
+        this.badge.setAttribute('aria-haspopup', 'dialog');
+        this.badge.onclick = () => this.togglePanel();
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'ztgi-queue-panel';
+        this.panel.setAttribute('role', 'dialog');
+        this.panel.setAttribute('aria-label', 'Queued actions');
+        this.panel.style.display = 'none';
+        this.panel.innerHTML = `
+            <div class="ztgi-queue-header">
+                <span>Queued actions</span>
+                <button class="ztgi-queue-close" title="Close">×</button>
+            </div>
+            <div class="ztgi-queue-list"></div>
+        `;
+        this.panel.querySelector('.ztgi-queue-close').onclick = () => this.togglePanel(false);
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.togglePanel(false);
+                this.badge.focus();
+            }
+        });
+
+        document.body.appendChild(this.badge);
+        document.body.appendChild(this.panel);
+    }
+
+    togglePanel(show = this.panel.style.display === 'none') {
+        this.panel.style.display = show && this.entries.size > 0 ? 'block' : 'none';
+        this.badge.setAttribute('aria-expanded', String(this.panel.style.display === 'block'));
+    }
+
+    render() {
+        if (!this.badge) return;
+
+        const entries = this.getEntries();
+        if (entries.length === 0) {
+            this.badge.style.display = 'none';
+            this.togglePanel(false);
+            return;
+        }
+
+        const failed = entries.filter(entry => entry.status === 'failed').length;
+        this.badge.style.display = 'flex';
+        this.badge.classList.toggle('ztgi-queue-badge-failed', failed > 0);
+        this.badge.textContent = `⏳ ${entries.length} queued${failed ? ` (${failed} failed)` : ''}`;
+        this.badge.title = 'Actions waiting for their backend';
+
+        const list = this.panel.querySelector('.ztgi-queue-list');
+        list.innerHTML = '';
+        entries.forEach(entry => list.appendChild(this.renderEntry(entry)));
+    }
+
+    renderEntry(entry) {
+        const row = document.createElement('div');
+        row.className = `ztgi-queue-item ztgi-queue-${entry.status}`;
+        row.innerHTML = `
+            <div class="ztgi-queue-info">
+                <div class="ztgi-queue-label"></div>
+                <div class="ztgi-queue-meta"></div>
+            </div>
+            <button class="ztgi-queue-btn ztgi-queue-retry">Retry</button>
+            <button class="ztgi-queue-btn ztgi-queue-cancel">Cancel</button>
+        `;
+
+        const status = entry.status === 'sending'
+            ? 'Sending…'
+            : entry.status === 'failed' ? `Failed: ${entry.lastError}` : `Waiting for ${entry.app}`;
+        row.querySelector('.ztgi-queue-label').textContent = entry.label;
+        row.querySelector('.ztgi-queue-meta').textContent = `${status} · ${this.formatAge(entry.queuedAt)}`;
+
+        const retry = row.querySelector('.ztgi-queue-retry');
+        retry.disabled = entry.status === 'sending';
+        retry.onclick = () => this.retry(entry.key);
+        row.querySelector('.ztgi-queue-cancel').onclick = () => this.cancel(entry.key);
+
+        return row;
+    }
+
+    formatAge(timestamp) {
+        const minutes = Math.floor((Date.now() - timestamp) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes}m ago`;
+        const hours = Math.floor(minutes / 60);
+        return hours < 24 ? `${hours}h ago` : `${Math.floor(hours / 24)}d ago`;
+    }
+
+    /**
+     * Add CSS styles
+     */
+    addStyles() {
+        if (document.getElementById('ztgi-queue-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'ztgi-queue-styles';
+        style.textContent = `
+            .ztgi-queue-badge {
+                position: fixed;
+                bottom: 20px;
+                left: 20px;
+                align-items: center;
+                padding: 8px 14px;
+                background: #1e1e1e;
+                border: 1px solid #3a3a3a;
+                border-radius: 20px;
+                box-shadow: 0 4px 16px rgba(0,0,0,0.3);
+                color: #e0e0e0;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 13px;
+                cursor: pointer;
+                z-index: 10002;
+            }
+            .ztgi-queue-badge:hover {
+                background: #2a2a2a;
+            }
+            .ztgi-queue-badge-failed {
+                border-color: #e5534b;
+            }
+            .ztgi-queue-panel {
+                position: fixed;
+                bottom: 64px;
+                left: 20px;
+                width: 340px;
+                max-height: 50vh;
+                overflow-y: auto;
+                background: #1e1e1e;
+                border: 1px solid #3a3a3a;
+                border-radius: 12px;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.4);
+                color: #e0e0e0;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 13px;
+                z-index: 10002;
+            }
+            .ztgi-queue-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                padding: 12px 16px;
+                border-bottom: 1px solid #333;
+                font-weight: 600;
+            }
+            .ztgi-queue-close {
+                background: none;
+                border: none;
+                color: #888;
+                font-size: 18px;
+                cursor: pointer;
+            }
+            .ztgi-queue-item {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 10px 16px;
+                border-bottom: 1px solid #2a2a2a;
+            }
+            .ztgi-queue-info {
+                flex: 1;
+                min-width: 0;
+            }
+            .ztgi-queue-meta {
+                margin-top: 2px;
+                color: #888;
+                font-size: 12px;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            .ztgi-queue-failed .ztgi-queue-meta {
+                color: #e5534b;
+            }
+            .ztgi-queue-btn {
+                padding: 4px 10px;
+                background: #333;
+                border: none;
+                border-radius: 6px;
+                color: #ccc;
+                font-size: 12px;
+                cursor: pointer;
+            }
+            .ztgi-queue-btn:hover {
+                background: #444;
+            }
+            .ztgi-queue-btn:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Cleanup (queued actions stay in storage)
+     */
+    destroy() {
+        this.stopHealthChecks();
+        window.removeEventListener('online', this.onOnline);
+        if (this.badge) this.badge.remove();
+        if (this.panel) this.panel.remove();
+        if (this.db) this.db.close();
+        const styles = document.getElementById('ztgi-queue-styles');
+        if (styles) styles.remove();
+    }
+}
+
+export { ActionQueue };
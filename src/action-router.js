@@ -14,8 +14,110 @@
  *     });
  *     // Show response in modal
  *   });
+ *
+ * Undo: give an action an `undo` companion (a function receiving the data
+ * and the handler's result, or the name of an inverse action), or have the
+ * handler return an inverse function (or `{ undo }`). Undoable actions are
+ * kept in a history that undo()/redo() walk:
+ *
+ *   ZtgiUI.actions.register('flow.removeNode', (data) => graph.remove(data.hash8), {
+ *     label: 'Remove node',
+ *     undo: (data, removed) => graph.add(removed)
+ *   });
+ *
+ *   ZtgiUI.actions.setUndo('email.archive', 'email.unarchive');
+ *   await ZtgiUI.actions.undo();
+ *
+ * Undo and redo run actions with { replay: true }, which skips confirmation,
+ * the error presenter and recording history for that run only.
+ *
+ * Confirmation: actions declaring `confirm` text ask first in a styled dialog
+ * (see ConfirmDialog). `risk` ('low', 'medium', 'high') colours the dialog;
+ * below 'high' the user may tick "Don't ask again", which is remembered by the
+ * preferences store set with setConfirmPreferences():
+ *
+ *   ZtgiUI.actions.register('flow.clearCanvas', clearCanvas, {
+ *     label: 'Clear Canvas',
+ *     confirm: 'Remove every node and connection from the canvas?',
+ *     risk: 'high'
+ *   });
+ *
+ * Lifecycle: every dispatched action emits `ztgi:action` events (phase
+ * 'start', then 'success' or 'error', with the run's `id` and duration; steps
+ * of a composite carry its run id as `parent`) and runs after-hooks. Failures
+ * are shown by the error presenter (by default a toast with Retry) and
+ * rethrown:
+ *
+ *   ZtgiUI.actions.after((action, data, { status, result, error, duration }) => { ... });
+ *   document.addEventListener('ztgi:action', (e) => console.log(e.detail.phase, e.detail.action));
+ *
+ * Remote calls: API actions time out and, when marked idempotent, retry with
+ * exponential backoff. Policies ({ timeout, retries, backoff, idempotent })
+ * come from setEndpointPolicy() and per-action metadata. Every run can be
+ * cancelled (the 'cancel' phase); handlers receive an AbortSignal as their
+ * second argument:
+ *
+ *   ZtgiUI.actions.setEndpointPolicy('cnp', { timeout: 15000 });
+ *   ZtgiUI.actions.setMeta('cnp.search', { idempotent: true, retries: 3 });
+ *   ZtgiUI.actions.register('case.generateMotion', async (data, { signal }) => {
+ *     return fetch('/motions', { method: 'POST', body: JSON.stringify(data), signal });
+ *   }, { label: 'Generate Motion' });
+ *   ZtgiUI.actions.cancel();   // most recent run (Esc while the progress indicator shows)
+ *
+ * Offline queue: API actions marked `queueable` that can't reach their
+ * endpoint are handed to the ActionQueue (see setQueue) and resolve with
+ * { queued: true, key } instead of failing. They carry an Idempotency-Key
+ * header, from the `idempotencyKey` template or the action name plus its data:
+ *
+ *   ZtgiUI.actions.setMeta('cnp.spawnAgent', { queueable: true, idempotencyKey: 'spawn-{hash8}' });
+ *
+ * URLs: URL actions (a "/path/{key}" action name, or `url` metadata) fill
+ * {key}, {nested.key} and {key|default} placeholders, can add a `query`
+ * mapping, and open per `target`: 'self', 'blank', 'push' (pushState plus a
+ * cancelable `ztgi:navigate` event for SPA routers) or 'modal' (iframe):
+ *
+ *   ZtgiUI.actions.register('cnp.search', (data) => ZtgiUI.actions.navigate('/search', data, {
+ *     query: { q: '{query}', tags: '{tags}', page: '{page|1}' },
+ *     target: 'push'
+ *   }));
+ *
+ * Parameters: `params` metadata declares the data an action needs (URL actions
+ * need their {placeholders} anyway). Data is checked after middleware has run;
+ * data failing validation is refused with a ValidationError naming the
+ * attribute, e.g. "missing data-hash8". describe() and listActions() report
+ * params, source (url, handler, composite, api, cursor) and the rest of an
+ * action's metadata:
+ *
+ *   ZtgiUI.actions.setMeta('cnp.spawnAgent', {
+ *     params: { hash8: { type: 'string', pattern: '^[0-9a-f]{8}$' }, prompt: 'string?' }
+ *   });
+ *   ZtgiUI.actions.validate('cnp.viewEntry', {});   // [{ param: 'hash8', problem: 'missing', ... }]
+ *   ZtgiUI.actions.describe('cnp.viewEntry');       // { source: 'url', params: [...], ... }
+ *
+ * Composite actions: run other actions as ordered steps (a step whose action
+ * has no handler, URL or API endpoint fails). Object results are merged into
+ * the data passed to the next step; `data` maps values explicitly ("{path}"
+ * into the carried data, named `as` results, $input, $result and $error),
+ * once per element for bulk data. `when` skips a step and { if, then, else }
+ * branches, both using ConditionParser expressions. `onError` is 'abort'
+ * (default), 'continue', 'retry' (with `retries`) or a fallback step:
+ *
+ *   ZtgiUI.actions.registerComposite('case.addEvidenceAndLink', {
+ *     label: 'Add Evidence & Link',
+ *     steps: [
+ *       { action: 'case.addEvidence', as: 'evidence' },
+ *       { if: 'caseId', then: [
+ *         { action: 'doc.linkToCase', data: { docId: '{evidence.docId}', caseId: '{caseId}' }, onError: 'retry' }
+ *       ] }
+ *     ]
+ *   });
  */
 
+import { ConfirmDialog } from './confirm-dialog.js';
+import { ConditionParser } from './condition-parser.js';
+import { FrameModal } from './frame-modal.js';
+import { showToast } from './utils.js';
+
 class ActionRouter {
     constructor() {
         this.handlers = {};
@@ -25,10 +127,52 @@ class ActionRouter {
             'lawyers-and-dragons': 'http://localhost:3001'
         };
         this.middleware = [];
+        this.undoHandlers = {};
+        this.meta = {};
+        this.confirmDialog = new ConfirmDialog();
+        this.confirmPreferences = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyLimit = 50;
+        this.afterHooks = [];
+        this.defaultPolicy = { timeout: 30000, retries: 2, backoff: 500, idempotent: false };
+        this.endpointPolicies = {};
+        this.running = new Map();
+        this.runCounter = 0;
+        this.errorPresenter = (error, context) => this.presentError(error, context);
+        this.queue = null;
+        this.conditions = new ConditionParser();
+        this.composites = {};
+        this.urlTarget = 'self';
+        this.frameModal = new FrameModal();
     }
 
-    register(action, handler) {
+    register(action, handler, options = {}) {
+        const { undo, ...meta } = options;
         this.handlers[action] = handler;
+        if (undo) this.undoHandlers[action] = undo;
+        if (Object.keys(meta).length > 0) this.setMeta(action, meta);
+    }
+
+    unregister(action) {
+        delete this.handlers[action];
+        delete this.undoHandlers[action];
+        delete this.meta[action];
+        delete this.composites[action];
+    }
+
+    // Describe an action ({ label, confirm, risk, params }) without (re)registering it
+    setMeta(action, meta) {
+        this.meta[action] = { ...this.meta[action], ...meta };
+    }
+
+    getMeta(action) {
+        return this.meta[action] || {};
+    }
+
+    // Set the undo companion for an action (function or inverse action name)
+    setUndo(action, undo) {
+        this.undoHandlers[action] = undo;
     }
 
     // Add middleware that runs before every action
@@ -36,34 +180,97 @@ class ActionRouter {
         this.middleware.push(fn);
     }
 
-    async execute(action, data = {}) {
-        // Run middleware
+    async execute(action, data = {}, options = {}) {
+        // Run middleware (it may fill in or normalize the data)
         for (const fn of this.middleware) {
             const result = await fn(action, data);
             if (result === false) {
                 console.log(`[ZTGI-UI] Action ${action} blocked by middleware`);
                 return null;
             }
-            if (result && typeof result === 'object') {
+            if (result && typeof result === 'object' && !Array.isArray(data)) {
                 data = { ...data, ...result };
             }
         }
 
+        // Refuse data that lacks declared parameters (e.g. a missing data-hash8)
+        const errors = this.validate(action, data);
+        if (errors.length > 0) {
+            throw this.rejectInvalid(action, data, errors, options);
+        }
+
+        // Ask first for actions that declare a confirmation (not when undo/redo
+        // replays them, or when retrying)
+        if (!options.replay && !options.skipConfirm && !(await this.confirmAction(action, data))) {
+            console.log(`[ZTGI-UI] Action ${action} cancelled`);
+            return null;
+        }
+
+        // Track the run so it can be cancelled (and shown as in progress)
+        const run = {
+            id: ++this.runCounter,
+            action,
+            label: this.getMeta(action).label || action,
+            parent: options.parent || null,
+            controller: new AbortController(),
+            startedAt: Date.now()
+        };
+        this.running.set(run.id, run);
+        this.emitAction('start', action, data, { id: run.id, parent: run.parent });
+
+        try {
+            const result = await this.dispatch(action, data, { signal: run.controller.signal, replay: !!options.replay, parent: run.parent, runId: run.id });
+            this.running.delete(run.id);
+            const outcome = { id: run.id, parent: run.parent, status: 'success', result, duration: Date.now() - run.startedAt };
+            this.emitAction('success', action, data, outcome);
+            await this.runAfterHooks(action, data, outcome);
+            return result;
+        } catch (error) {
+            this.running.delete(run.id);
+
+            // Also covers a composite whose running step was cancelled
+            if (run.controller.signal.aborted || error.name === 'AbortError') {
+                const outcome = { id: run.id, parent: run.parent, status: 'cancelled', error, duration: Date.now() - run.startedAt };
+                console.log(`[ZTGI-UI] Action ${action} cancelled`);
+                this.emitAction('cancel', action, data, outcome);
+                await this.runAfterHooks(action, data, outcome);
+                throw error;
+            }
+
+            const outcome = { id: run.id, parent: run.parent, status: 'error', error, duration: Date.now() - run.startedAt };
+            console.error(`[ZTGI-UI] Action ${action} failed:`, error);
+            this.emitAction('error', action, data, outcome);
+            await this.runAfterHooks(action, data, outcome);
+
+            // Steps of a composite action report through the composite
+            if (this.errorPresenter && !options.replay && !run.parent) {
+                this.errorPresenter(error, {
+                    action,
+                    data,
+                    label: run.label,
+                    retry: () => this.execute(action, data, { skipConfirm: true })
+                });
+            }
+            throw error;
+        }
+    }
+
+    // Route an action to a URL, local handler, cursor mode or API. `replay`
+    // marks a run by undo()/redo(), which doesn't add history; a composite
+    // step (`parent`) with nowhere to go fails rather than skipping.
+    async dispatch(action, data, { signal = null, replay = false, parent = null, runId = null } = {}) {
         // Check for URL pattern in action (e.g., "/chain/{hash8}")
-        if (action.startsWith('/') || action.startsWith('http')) {
-            const url = this.interpolateUrl(action, data);
-            window.location.href = url;
+        if (this.isUrlAction(action)) {
+            this.openUrlAction(action, action, data);
             return;
         }
 
         // Check local handlers
         if (this.handlers[action]) {
-            try {
-                return await this.handlers[action](data);
-            } catch (err) {
-                console.error(`[ZTGI-UI] Action ${action} failed:`, err);
-                throw err;
-            }
+            // Handlers get the signal; ones that ignore it are abandoned on cancel
+            const result = await this.raceAbort(this.handlers[action](data, { signal, replay, runId }), signal);
+            if (!replay) this.recordUndoable(action, data, result);
+            return result;
         }
 
         // Handle cursor mode actions (cursor.modeName)
@@ -76,36 +283,770 @@ class ActionRouter {
         // Try API call if action looks like 'app.method'
         const [app, method] = action.split('.');
         if (app && method && this.apiEndpoints[app]) {
-            return await this.apiCall(app, method, data);
+            const queueable = this.getMeta(action).queueable && this.queue;
+            const idempotencyKey = queueable ? this.getIdempotencyKey(action, data) : null;
+
+            // Don't wait on an endpoint already known to be down
+            if (queueable && this.queue.isOffline(app)) {
+                const entry = await this.queue.enqueue(action, data);
+                return { queued: true, key: entry.key };
+            }
+
+            let result;
+            try {
+                result = await this.apiCall(app, method, data, { signal, policy: this.getPolicy(action), idempotencyKey });
+            } catch (err) {
+                if (queueable && !(signal && signal.aborted) && this.isRetryable(err)) {
+                    const entry = await this.queue.enqueue(action, data, err);
+                    return { queued: true, key: entry.key };
+                }
+                throw err;
+            }
+            if (!replay) this.recordUndoable(action, data, result);
+            return result;
         }
 
+        if (parent) {
+            const error = new Error(`No handler for action: ${action}`);
+            error.name = 'UnknownActionError';
+            throw error;
+        }
         console.warn(`[ZTGI-UI] No handler for action: ${action}`);
     }
 
-    interpolateUrl(template, data) {
+    // ==================== Lifecycle ====================
+
+    // Add a hook that runs after every action with
+    // { status: 'success' | 'error', result, error, duration }
+    after(fn) {
+        this.afterHooks.push(fn);
+    }
+
+    async runAfterHooks(action, data, outcome) {
+        for (const fn of this.afterHooks) {
+            try {
+                await fn(action, data, outcome);
+            } catch (err) {
+                console.error('[ZTGI-UI] After-hook failed:', err);
+            }
+        }
+    }
+
+    // Dispatch `ztgi:action` with phase 'start', 'success' or 'error'
+    emitAction(phase, action, data, outcome = {}) {
+        document.dispatchEvent(new CustomEvent('ztgi:action', {
+            detail: { phase, action, data, ...outcome }
+        }));
+    }
+
+    // Replace how failures are shown (fn(error, { action, data, label, retry }));
+    // pass null to only log them
+    setErrorPresenter(fn) {
+        this.errorPresenter = fn;
+    }
+
+    // Default presenter: a toast with a Retry button
+    presentError(error, { label, retry }) {
+        if (error.name === 'ValidationError') {
+            showToast(`${label} can't run: ${error.message}`, 6000);
+            return;
+        }
+        showToast(`${label} failed: ${error.message}`, 6000, {
+            action: { label: 'Retry', onClick: () => retry().catch(() => {}) }
+        });
+    }
+
+    // ==================== Parameters & Introspection ====================
+
+    /**
+     * Parameters an action takes, as { name: { type, required, pattern, description } }.
+     * Declared with `params` metadata (a spec object, or a type string where
+     * a trailing '?' marks it optional); URL actions also need every {key}
+     * in their URL.
+     */
+    getParams(action) {
+        const meta = this.getMeta(action);
+        const params = {};
+
+        // Path placeholders without a {key|default} are required; query values
+        // that are missing are just left out
+        const url = meta.url || (this.isUrlAction(action) ? action : null);
+        if (url) {
+            for (const [, path, fallback] of url.matchAll(/\{([\w$.]+)(?:\|([^}]*))?\}/g)) {
+                const [name] = path.split('.');
+                params[name] = { type: name === path ? 'string' : 'object', required: fallback === undefined };
+            }
+        }
+        if (meta.query) {
+            for (const [, path] of JSON.stringify(meta.query).matchAll(/\{([\w$.]+)(?:\|([^}]*))?\}/g)) {
+                const [name] = path.split('.');
+                if (!params[name]) params[name] = { type: 'any', required: false };
+            }
+        }
+
+        for (const [name, spec] of Object.entries(meta.params || {})) {
+            if (typeof spec === 'string') {
+                const optional = spec.endsWith('?');
+                params[name] = { type: optional ? spec.slice(0, -1) : spec, required: !optional };
+            } else {
+                params[name] = { type: 'any', required: true, ...spec };
+            }
+        }
+
+        return params;
+    }
+
+    /**
+     * Check data against an action's params; returns a list of problems
+     * ({ param, attribute, problem, count, message }), empty when it may run.
+     * Bulk data is checked per element.
+     */
+    validate(action, data) {
+        const params = this.getParams(action);
+        const items = Array.isArray(data) ? data : [data || {}];
+        const errors = [];
+
+        for (const [name, param] of Object.entries(params)) {
+            const attribute = this.getAttributeName(name);
+            const isMissing = item => item[name] === undefined || item[name] === null || item[name] === '';
+            const of = count => (items.length > 1 ? `${count} of ${items.length} items ` : '');
+
+            const missing = items.filter(isMissing).length;
+            if (param.required && missing > 0) {
+                errors.push({ param: name, attribute, problem: 'missing', count: missing, message: `${of(missing)}missing ${attribute}`.trim() });
+                continue;
+            }
+
+            const invalid = items.filter(item => !isMissing(item) && !this.checkParam(item[name], param)).length;
+            if (invalid > 0) {
+                const expected = param.values
+                    ? `one of ${param.values.join(', ')}`
+                    : param.pattern ? 'in the expected format' : `a ${param.type}`;
+                errors.push({ param: name, attribute, problem: 'invalid', count: invalid, message: `${of(invalid)}${attribute} is not ${expected}`.trim() });
+            }
+        }
+
+        return errors;
+    }
+
+    // Data attributes arrive as strings, so numbers and booleans may be strings too
+    checkParam(value, { type = 'any', pattern, values }) {
+        if (values && !values.some(allowed => String(allowed) === String(value))) return false;
+        if (pattern && !new RegExp(pattern).test(String(value))) return false;
+
+        switch (type) {
+            case 'string':
+                return typeof value === 'string' || typeof value === 'number';
+            case 'number':
+                return !isNaN(Number(value));
+            case 'boolean':
+                return [true, false, 'true', 'false'].includes(value);
+            case 'array':
+                return Array.isArray(value);
+            case 'object':
+                return typeof value === 'object' && !Array.isArray(value);
+            default:
+                return true;
+        }
+    }
+
+    // hash8 -> data-hash8, agentId -> data-agent-id
+    getAttributeName(param) {
+        return `data-${param.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+    }
+
+    rejectInvalid(action, data, errors, options) {
+        const error = new Error(errors.map(e => e.message).join(', '));
+        error.name = 'ValidationError';
+        error.errors = errors;
+
+        console.warn(`[ZTGI-UI] Action ${action} not run: ${error.message}`);
+        this.emitAction('invalid', action, data, { parent: options.parent || null, status: 'invalid', error });
+        if (this.errorPresenter && !options.replay && !options.parent) {
+            this.errorPresenter(error, { action, data, label: this.getMeta(action).label || action, retry: null });
+        }
+        return error;
+    }
+
+    isUrlAction(action) {
+        return action.startsWith('/') || action.startsWith('http');
+    }
+
+    // Where an action goes: 'url', 'composite', 'handler', 'cursor', 'api' or 'unknown'
+    getSource(action) {
+        if (this.isUrlAction(action) || this.getMeta(action).url) return 'url';
+        if (this.composites[action]) return 'composite';
+        if (this.handlers[action]) return 'handler';
+        if (action.startsWith('cursor.')) return 'cursor';
+        if (this.apiEndpoints[action.split('.')[0]]) return 'api';
+        return 'unknown';
+    }
+
+    /**
+     * Everything known about an action (for settings, help and the palette)
+     */
+    describe(action) {
+        const meta = this.getMeta(action);
+        const source = this.getSource(action);
+        return {
+            action,
+            label: meta.label || null,
+            description: meta.description || null,
+            source,
+            url: meta.url || (this.isUrlAction(action) ? action : null),
+            endpoint: source === 'api' ? this.apiEndpoints[action.split('.')[0]] : null,
+            steps: this.composites[action] || null,
+            params: Object.entries(this.getParams(action)).map(([name, param]) => ({
+                name,
+                attribute: this.getAttributeName(name),
+                ...param
+            })),
+            confirm: meta.confirm || null,
+            risk: meta.risk || null,
+            undoable: !!this.undoHandlers[action],
+            queueable: !!meta.queueable
+        };
+    }
+
+    // Every action with a handler or metadata, described, sorted by name
+    listActions() {
+        const actions = new Set([...Object.keys(this.handlers), ...Object.keys(this.meta), ...Object.keys(this.undoHandlers)]);
+        return Array.from(actions).sort().map(action => this.describe(action));
+    }
+
+    // ==================== Composite actions ====================
+
+    /**
+     * Register an action that runs other actions in order:
+     *   { label, onError, steps: [{ action, data, as, when, onError, retries }
+     *                             | { if, then: [...], else: [...] }] }
+     */
+    registerComposite(action, definition) {
+        const { steps, onError = 'abort', ...meta } = definition;
+        if (!Array.isArray(steps)) {
+            console.warn(`[ZTGI-UI] Composite action ${action} has no steps`);
+            return;
+        }
+        this.register(action, (data, { signal, replay, runId } = {}) => {
+            return this.runComposite(action, steps, data, { signal, replay, runId, onError });
+        }, meta);
+        this.composites[action] = steps;
+    }
+
+    // Resolves with the data as carried through the steps
+    async runComposite(action, steps, data, { signal = null, replay = false, runId = null, onError = 'abort' } = {}) {
+        const state = {
+            action,
+            runId,            // steps are linked to this run as their parent
+            signal,
+            replay,
+            onError,
+            input: data,
+            current: data,    // what a step without a `data` mapping receives
+            named: {},        // results of steps with `as`
+            result: undefined,
+            error: null
+        };
+
+        // Cancelling the composite cancels whichever of its steps is running
+        const cancelSteps = () => this.running.forEach(run => {
+            if (runId !== null && run.parent === runId) run.controller.abort();
+        });
+        if (signal) signal.addEventListener('abort', cancelSteps, { once: true });
+
+        try {
+            await this.runSteps(steps, state);
+        } finally {
+            if (signal) signal.removeEventListener('abort', cancelSteps);
+        }
+        return state.current;
+    }
+
+    async runSteps(steps, state) {
+        for (const step of steps) {
+            if (state.signal && state.signal.aborted) {
+                throw new DOMException('Action cancelled', 'AbortError');
+            }
+
+            if (step.if !== undefined) {
+                const branch = this.conditions.evaluate(step.if, this.stepScope(state)) ? step.then : step.else;
+                if (branch) await this.runSteps(branch, state);
+                continue;
+            }
+
+            if (step.when !== undefined && !this.conditions.evaluate(step.when, this.stepScope(state))) continue;
+
+            await this.runStep(step, state);
+        }
+    }
+
+    // Run one step under its error policy: 'abort' (default), 'continue',
+    // 'retry' (up to `retries` more times, then abort) or a fallback step
+    async runStep(step, state) {
+        const policy = step.onError || state.onError;
+        const attempts = policy === 'retry' ? (step.retries ?? 2) + 1 : 1;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const data = this.getStepData(step, state);
+                const result = await this.execute(step.action, data, { parent: state.runId, replay: state.replay });
+                this.recordStepResult(step, state, result);
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError' || (state.signal && state.signal.aborted)) throw error;
+                if (attempt < attempts && !['ValidationError', 'UnknownActionError'].includes(error.name)) continue;
+
+                state.error = error.message;
+                if (policy === 'continue') return;
+                if (policy && typeof policy === 'object') {
+                    await this.runStep({ ...policy, onError: 'abort' }, state);
+                    return;
+                }
+
+                const failure = new Error(`Step ${step.action} failed: ${error.message}`);
+                failure.step = step.action;
+                failure.cause = error;
+                throw failure;
+            }
+        }
+    }
+
+    // A step's `data` mapping, filled once per element for bulk data
+    getStepData(step, state) {
+        if (step.data === undefined) return state.current;
+        if (Array.isArray(state.current)) {
+            return state.current.map(item => this.mapStepData(step.data, this.stepScope(state, item)));
+        }
+        return this.mapStepData(step.data, this.stepScope(state));
+    }
+
+    recordStepResult(step, state, result) {
+        state.result = result;
+        state.error = null;
+        if (step.as) state.named[step.as] = result;
+
+        // Object results feed into the next step's data; bulk data stays one
+        // entry per element (the result is still $result and `as`)
+        if (result && typeof result === 'object' && !Array.isArray(result) && !Array.isArray(state.current)) {
+            state.current = { ...state.current, ...result };
+        }
+    }
+
+    // Values visible to step mappings and conditions: the carried data (one
+    // element's, for bulk data, else the first with `count`), named results,
+    // and $input, $result (previous step) and $error (last failure)
+    stepScope(state, item = null) {
+        const current = Array.isArray(state.current)
+            ? { ...(item || state.current[0]), count: state.current.length }
+            : state.current;
+        return {
+            ...current,
+            ...state.named,
+            $input: state.input,
+            $result: state.result,
+            $error: state.error
+        };
+    }
+
+    // Fill "{path}" / "{path|default}" placeholders in a mapping (strings,
+    // arrays or objects). A string that is exactly one placeholder keeps the
+    // value's type.
+    mapStepData(template, scope) {
+        if (Array.isArray(template)) return template.map(item => this.mapStepData(item, scope));
+        if (template && typeof template === 'object') {
+            const mapped = {};
+            for (const [key, value] of Object.entries(template)) {
+                mapped[key] = this.mapStepData(value, scope);
+            }
+            return mapped;
+        }
+        if (typeof template !== 'string') return template;
+
+        const whole = template.match(/^\{([\w$.]+)(?:\|([^}]*))?\}$/);
+        if (whole) {
+            const value = this.resolvePath(scope, whole[1]);
+            return value === undefined || value === null ? whole[2] : value;
+        }
+
+        return template.replace(/\{([\w$.]+)(?:\|([^}]*))?\}/g, (match, path, fallback = '') => {
+            const value = this.resolvePath(scope, path);
+            return value !== undefined && value !== null ? value : fallback;
+        });
+    }
+
+    // Look up a dotted path ("evidence.docId") in an object
+    resolvePath(obj, path) {
+        return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), obj);
+    }
+
+    // ==================== Confirmation ====================
+
+    // Resolves true when the action may run
+    async confirmAction(action, data) {
+        const { confirm, risk = 'medium', label } = this.getMeta(action);
+        if (!confirm) return true;
+
+        const prefs = this.confirmPreferences;
+        const canSkip = risk !== 'high';
+        if (canSkip && prefs && prefs.isConfirmSkipped(action)) return true;
+
+        const { confirmed, remember } = await this.confirm({
+            title: label || 'Are you sure?',
+            message: this.interpolateText(confirm, data),
+            risk,
+            confirmLabel: label || 'Confirm',
+            allowRemember: canSkip && !!prefs
+        });
+
+        if (remember) prefs.skipConfirm(action);
+        return confirmed;
+    }
+
+    /**
+     * Ask in the confirmation dialog; resolves { confirmed, remember }
+     * @param {Object} options - { title, message, risk, confirmLabel, allowRemember }
+     */
+    confirm(options) {
+        return this.confirmDialog.show(options);
+    }
+
+    // Fill {key} placeholders (and {count} for bulk data) in plain text
+    interpolateText(template, data) {
+        const values = Array.isArray(data) ? { ...data[0], count: data.length } : { count: 1, ...data };
         return template.replace(/\{(\w+)\}/g, (match, key) => {
-            return data[key] !== undefined ? encodeURIComponent(data[key]) : match;
+            return values[key] !== undefined ? values[key] : match;
         });
     }
 
-    async apiCall(app, method, data) {
-        const endpoint = this.apiEndpoints[app];
+    // Store for "Don't ask again" choices: { isConfirmSkipped(action), skipConfirm(action) }
+    setConfirmPreferences(preferences) {
+        this.confirmPreferences = preferences;
+    }
+
+    // ==================== Undo / Redo ====================
+
+    // Work out how to reverse an action that just ran, if it can be
+    getInverse(action, data, result) {
+        const undo = this.undoHandlers[action];
+        if (typeof undo === 'string') return () => this.execute(undo, data, { replay: true });
+        if (typeof undo === 'function') return () => undo(data, result);
+        if (typeof result === 'function') return result;
+        if (result && typeof result.undo === 'function') return result.undo;
+        return null;
+    }
+
+    recordUndoable(action, data, result) {
+        const undo = this.getInverse(action, data, result);
+        if (!undo) return;
+
+        const entry = {
+            action,
+            label: this.getMeta(action).label || action,
+            data,
+            undo,
+            redo: async () => {
+                const redone = await this.execute(action, data, { replay: true });
+                entry.undo = this.getInverse(action, data, redone) || entry.undo;
+            }
+        };
+        this.record(entry);
+    }
+
+    // Add an entry ({ action, label, undo, redo }) to the history; also used
+    // for undoable changes that don't go through execute()
+    record(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.historyLimit) this.undoStack.shift();
+        this.redoStack = [];
+        this.emitHistory('record', entry);
+    }
+
+    async undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
         try {
-            const response = await fetch(`${endpoint}/action/${method}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data)
+            await entry.undo();
+        } catch (err) {
+            // Keep it so a transient failure can be retried
+            this.undoStack.push(entry);
+            console.error(`[ZTGI-UI] Undo of ${entry.action} failed:`, err);
+            throw err;
+        }
+
+        if (entry.redo) this.redoStack.push(entry);
+        this.emitHistory('undo', entry);
+        return entry;
+    }
+
+    async redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        try {
+            await entry.redo();
+        } catch (err) {
+            this.redoStack.push(entry);
+            console.error(`[ZTGI-UI] Redo of ${entry.action} failed:`, err);
+            throw err;
+        }
+
+        this.undoStack.push(entry);
+        this.emitHistory('redo', entry);
+        return entry;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clearHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.emitHistory('clear', null);
+    }
+
+    emitHistory(type, entry) {
+        document.dispatchEvent(new CustomEvent('ztgi:history', {
+            detail: { type, entry, canUndo: this.canUndo(), canRedo: this.canRedo() }
+        }));
+    }
+
+    // ==================== URLs ====================
+
+    // Fill {key}, {nested.key} and {key|default} placeholders. Object values
+    // become a query string; missing values without a default stay as-is.
+    interpolateUrl(template, data) {
+        return template.replace(/\{([\w$.]+)(?:\|([^}]*))?\}/g, (match, path, fallback) => {
+            const value = this.resolvePath(data, path);
+            if (value === undefined || value === null || (value === '' && fallback !== undefined)) {
+                return fallback !== undefined ? encodeURIComponent(fallback) : match;
+            }
+            if (typeof value === 'object') return this.toQueryString(value);
+            return encodeURIComponent(value);
+        });
+    }
+
+    /**
+     * Build a URL from a template and an optional query mapping, e.g.
+     * buildUrl('/search', data, { q: '{query}', tags: '{tags}' }) -> /search?q=...&tags=a&tags=b
+     */
+    buildUrl(template, data, query = null) {
+        let url = this.interpolateUrl(template, data);
+        if (!query) return url;
+
+        const queryString = this.toQueryString(this.mapStepData(query, data));
+        if (!queryString) return url;
+
+        const [base, hash] = url.split('#');
+        url = `${base}${base.includes('?') ? '&' : '?'}${queryString}`;
+        return hash !== undefined ? `${url}#${hash}` : url;
+    }
+
+    // { a: 1, tags: ['x', 'y'] } -> "a=1&tags=x&tags=y" (empty values left out)
+    toQueryString(params) {
+        const search = new URLSearchParams();
+        for (const [key, value] of Object.entries(params || {})) {
+            const values = Array.isArray(value) ? value : [value];
+            values.forEach(item => {
+                if (item === undefined || item === null || item === '') return;
+                search.append(key, typeof item === 'object' ? JSON.stringify(item) : item);
             });
+        }
+        return search.toString();
+    }
+
+    /**
+     * Open a URL action. Targets: 'self' (default, full page load), 'blank'
+     * (new tab), 'push' (history.pushState for in-app routers) or 'modal'
+     * (iframe over the page). Bulk data uses the first element.
+     */
+    navigate(template, data, options = {}) {
+        const { target = this.urlTarget, query = null, title = '' } = options;
+        const url = this.buildUrl(template, Array.isArray(data) ? data[0] || {} : data, query);
+
+        if (target === 'blank') {
+            window.open(url, '_blank', 'noopener');
+        } else if (target === 'modal') {
+            this.frameModal.show({ url, title });
+        } else if (target === 'push' && new URL(url, window.location.href).origin === window.location.origin) {
+            this.pushUrl(url);
+        } else {
+            window.location.href = url;
+        }
+        return url;
+    }
+
+    // Open a URL action with its metadata's target, query and label
+    openUrlAction(action, url, data) {
+        const { target, query, label } = this.getMeta(action);
+        return this.navigate(url, data, { target, query, title: label });
+    }
+
+    // Let an in-app router take the URL: listeners can handle `ztgi:navigate`
+    // themselves (preventDefault), otherwise it is pushed and popstate fired
+    pushUrl(url) {
+        const event = new CustomEvent('ztgi:navigate', { detail: { url }, cancelable: true });
+        if (!document.dispatchEvent(event)) return;
+
+        history.pushState({ ztgi: true }, '', url);
+        window.dispatchEvent(new PopStateEvent('popstate', { state: history.state }));
+    }
+
+    // Default target for URL actions that don't set one ('self', 'blank', 'push', 'modal')
+    setUrlTarget(target) {
+        this.urlTarget = target;
+    }
+
+    async apiCall(app, method, data, options = {}) {
+        const endpoint = this.apiEndpoints[app];
+        const policy = options.policy || this.getPolicy(`${app}.${method}`);
+        const attempts = policy.idempotent ? policy.retries + 1 : 1;
+        const init = {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        };
+        if (options.idempotencyKey) init.headers['Idempotency-Key'] = options.idempotencyKey;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.fetchWithTimeout(`${endpoint}/action/${method}`, init, policy.timeout, options.signal);
+            } catch (err) {
+                const cancelled = options.signal && options.signal.aborted;
+                if (cancelled || attempt >= attempts || !this.isRetryable(err)) {
+                    if (!cancelled) console.error(`[ZTGI-UI] API call to ${app}.${method} failed:`, err);
+                    throw err;
+                }
+
+                // Exponential backoff: backoff, 2x, 4x, ...
+                const wait = policy.backoff * 2 ** (attempt - 1);
+                console.warn(`[ZTGI-UI] ${app}.${method} failed (${err.message}), retrying in ${wait}ms`);
+                await this.delay(wait, options.signal);
+            }
+        }
+    }
+
+    // fetch + JSON with a timeout, also aborted by the caller's signal
+    async fetchWithTimeout(url, init, timeout, signal = null) {
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onAbort = () => controller.abort();
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const response = await fetch(url, { ...init, signal: controller.signal });
             if (!response.ok) {
-                throw new Error(`API call failed: ${response.status}`);
+                const error = new Error(`API call failed: ${response.status}`);
+                error.status = response.status;
+                throw error;
             }
-            return response.json();
+            // 204 and other empty bodies are a success with no data
+            const text = await response.text();
+            return text ? JSON.parse(text) : null;
         } catch (err) {
-            console.error(`[ZTGI-UI] API call to ${app}.${method} failed:`, err);
+            if (timedOut) {
+                const error = new Error(`Timed out after ${timeout}ms`);
+                error.name = 'TimeoutError';
+                throw error;
+            }
             throw err;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
         }
     }
 
+    // Timeouts, network failures (fetch's TypeError), 5xx and 429 are worth
+    // another attempt. Anything else, like a bad JSON body on a 2xx, means
+    // the server may already have acted.
+    isRetryable(err) {
+        if (err.name === 'TimeoutError' || err.name === 'TypeError') return true;
+        return err.status >= 500 || err.status === 429;
+    }
+
+    // Identifies one logical request so retries and replays can be deduped:
+    // the action's `idempotencyKey` (a {key} template or a function of the
+    // data), else the action name plus its data
+    getIdempotencyKey(action, data) {
+        const { idempotencyKey } = this.getMeta(action);
+        if (typeof idempotencyKey === 'function') return `${action}:${idempotencyKey(data)}`;
+        if (typeof idempotencyKey === 'string') return `${action}:${this.interpolateText(idempotencyKey, data)}`;
+        return `${action}:${JSON.stringify(data)}`;
+    }
+
+    delay(ms, signal = null) {
+        return this.raceAbort(new Promise(resolve => setTimeout(resolve, ms)), signal);
+    }
+
+    // Reject as soon as the signal aborts, whether or not the promise settles
+    raceAbort(promise, signal) {
+        if (!signal) return promise;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => reject(new DOMException('Action cancelled', 'AbortError'));
+            if (signal.aborted) {
+                onAbort();
+                return;
+            }
+            signal.addEventListener('abort', onAbort, { once: true });
+            Promise.resolve(promise)
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    // ==================== Policies & Cancellation ====================
+
+    // Timeout/retry policy for an action: defaults, then its endpoint's
+    // policy, then the action's own metadata
+    getPolicy(action) {
+        const [app] = action.split('.');
+        const meta = this.getMeta(action);
+        const policy = { ...this.defaultPolicy, ...this.endpointPolicies[app] };
+        ['timeout', 'retries', 'backoff', 'idempotent'].forEach(key => {
+            if (meta[key] !== undefined) policy[key] = meta[key];
+        });
+        return policy;
+    }
+
+    // { timeout, retries, backoff, idempotent } for every action on an endpoint
+    setEndpointPolicy(app, policy) {
+        this.endpointPolicies[app] = { ...this.endpointPolicies[app], ...policy };
+    }
+
+    // Actions currently running, oldest first
+    getRunning() {
+        return Array.from(this.running.values()).map(({ id, action, label, startedAt }) => ({ id, action, label, startedAt }));
+    }
+
+    // Cancel a running action by id (default: the most recent one)
+    cancel(id = null) {
+        const runs = Array.from(this.running.values());
+        const run = id === null ? runs[runs.length - 1] : this.running.get(id);
+        if (!run) return false;
+        run.controller.abort();
+        return true;
+    }
+
+    cancelAll() {
+        this.running.forEach(run => run.controller.abort());
+    }
+
+    // ==================== Offline queue ====================
+
+    // Queue for `queueable` actions whose endpoint is down (see ActionQueue)
+    setQueue(queue) {
+        this.queue = queue;
+    }
+
     setApiEndpoint(app, url) {
         this.apiEndpoints[app] = url;
     }
@@ -5,7 +5,7 @@
  * Features:
  * - Three tabs: Chat, Inbox, Insights
  * - Page-specific system prompts
- * - Keyboard toggle: Ctrl+/
+ * - Keyboard toggle: Ctrl+/ (Cmd+/ on Mac)
  * - Collapsible to bubble
  *
  * Usage:
@@ -55,7 +55,7 @@ class AiAssistant {
 
         // Register keyboard shortcut
         if (this.ztgi.keyboard) {
-            this.ztgi.keyboard.register('ctrl+/', () => this.toggle());
+            this.ztgi.keyboard.register('mod+/', () => this.toggle(), { description: 'Toggle assistant' });
         }
 
         // Check for unread messages periodically
@@ -5,6 +5,7 @@
  * - Menu clicks
  * - Copy operations
  * - Keyboard shortcuts
+ * - Action outcomes and timings
  * - Page visits
  *
  * Usage:
@@ -118,6 +119,19 @@ class AnalyticsTracker {
         });
     }
 
+    /**
+     * Track an action's outcome and how long it took
+     */
+    trackActionResult(action, status, duration, error = null) {
+        this.addEvent({
+            type: 'action_result',
+            action: action,
+            status: status,
+            duration: duration,
+            error: error ? error.message : null
+        });
+    }
+
     /**
      * Track page visit
      */
@@ -278,6 +292,7 @@ class AnalyticsTracker {
             eventsByType: {},
             topMenuItems: this.getTopMenuItems(10),
             topShortcuts: this.getTopShortcuts(10),
+            actionStats: this.getActionStats(),
             pageVisits: this.getPageStats(),
             unusedMenuItems: [],
             recentActivity: this.getRecentActivity(20)
@@ -335,6 +350,45 @@ class AnalyticsTracker {
             .slice(0, limit);
     }
 
+    /**
+     * Get how often each action was run, however it was triggered
+     */
+    getActionCounts() {
+        const counts = {};
+
+        for (const event of this.events) {
+            if ((event.type === 'menu_click' || event.type === 'shortcut') && event.action) {
+                counts[event.action] = (counts[event.action] || 0) + 1;
+            }
+        }
+
+        return counts;
+    }
+
+    /**
+     * Get run count, failures and average duration per action
+     */
+    getActionStats() {
+        const stats = {};
+
+        for (const event of this.events) {
+            if (event.type !== 'action_result') continue;
+            const entry = stats[event.action] || (stats[event.action] = { runs: 0, failures: 0, totalDuration: 0 });
+            entry.runs++;
+            entry.totalDuration += event.duration || 0;
+            if (event.status === 'error') entry.failures++;
+        }
+
+        return Object.entries(stats)
+            .map(([action, { runs, failures, totalDuration }]) => ({
+                action,
+                runs,
+                failures,
+                avgDuration: Math.round(totalDuration / runs)
+            }))
+            .sort((a, b) => b.runs - a.runs);
+    }
+
     /**
      * Get items that exist in menu but have never been used
      */
@@ -405,6 +459,10 @@ class AnalyticsTracker {
                 return `Copied ${event.contentType}`;
             case 'shortcut':
                 return `Used shortcut ${event.shortcut} → ${event.action}`;
+            case 'action_result':
+                return event.status === 'error'
+                    ? `Action ${event.action} failed after ${event.duration}ms`
+                    : `Ran ${event.action} in ${event.duration}ms`;
             case 'page_visit':
                 return `Visited ${event.pageName}`;
             case 'page_exit':
@@ -0,0 +1,531 @@
+/**
+ * Command Palette
+ *
+ * Searchable overlay listing everything the page can do: registered actions,
+ * context menu items, cursor modes and described keyboard shortcuts. Results
+ * are fuzzy-matched (see fuzzyMatch), show their bound shortcut and are
+ * ranked by how often the action has been used (AnalyticsTracker).
+ *
+ * Commands run against the focused [data-context] element, or the current
+ * selection, captured when the palette opens.
+ *
+ * Usage:
+ *   const palette = new CommandPalette(ztgiInstance);
+ *   palette.init();      // binds Ctrl/Cmd+K and the 'palette.open' action
+ *   palette.open();
+ */
+
+import { renderIcon, findContextParent } from './utils.js';
+import { fuzzyMatch, highlightMatches } from './fuzzy-match.js';
+
+class CommandPalette {
+    constructor(ztgiInstance) {
+        this.ztgi = ztgiInstance;
+        this.overlay = null;
+        this.input = null;
+        this.list = null;
+        this.isOpen = false;
+        this.commands = [];
+        this.results = [];
+        this.activeIndex = -1;
+        this.target = null;
+        this.selection = [];
+        this.returnFocus = null;
+        this.maxResults = 50;
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the palette
+     */
+    init() {
+        if (this.initialized) return this;
+
+        this.createOverlay();
+        this.addStyles();
+
+        this.ztgi.actions.register('palette.open', () => this.open());
+        this.ztgi.keyboard.register('mod+k', () => this.toggle(), {
+            action: 'palette.open',
+            description: 'Command palette'
+        });
+
+        this.initialized = true;
+        return this;
+    }
+
+    /**
+     * Create overlay DOM structure
+     */
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'ztgi-palette-overlay';
+        this.overlay.style.display = 'none';
+        this.overlay.innerHTML = `
+            <div class="ztgi-palette" role="dialog" aria-modal="true" aria-label="Command palette">
+                <input type="text" class="ztgi-palette-input" placeholder="Type a command..."
+                    role="combobox" aria-expanded="true" aria-controls="ztgi-palette-list" aria-autocomplete="list" />
+                <div class="ztgi-palette-list" id="ztgi-palette-list" role="listbox"></div>
+            </div>
+        `;
+        document.body.appendChild(this.overlay);
+
+        this.input = this.overlay.querySelector('.ztgi-palette-input');
+        this.list = this.overlay.querySelector('.ztgi-palette-list');
+
+        this.input.addEventListener('input', () => this.filter());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        this.list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.setActive(Number(option.dataset.index));
+        });
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.run(this.results[Number(option.dataset.index)]);
+        });
+
+        // Click outside the palette closes it
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+    }
+
+    /**
+     * Toggle palette open/closed
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Open the palette for the focused or selected element
+     */
+    open() {
+        if (this.isOpen) return;
+
+        this.ztgi.contextMenu.hide({ restoreFocus: false });
+        this.returnFocus = document.activeElement;
+        this.captureTarget();
+        this.commands = this.collectCommands();
+
+        this.isOpen = true;
+        this.overlay.style.display = 'flex';
+        this.input.value = '';
+        this.filter();
+        this.input.focus();
+    }
+
+    /**
+     * Close the palette
+     */
+    close({ restoreFocus = true } = {}) {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.overlay.style.display = 'none';
+
+        if (restoreFocus && this.returnFocus && this.returnFocus.isConnected) {
+            this.returnFocus.focus({ preventScroll: true });
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Remember which element(s) commands should act on
+     */
+    captureTarget() {
+        const contextMenu = this.ztgi.contextMenu;
+        const selected = this.ztgi.selection ? this.ztgi.selection.getSelected() : [];
+
+        this.target = findContextParent(document.activeElement) || selected[0] || null;
+        this.selection = this.target ? contextMenu.getSelectionFor(this.target) : [];
+    }
+
+    // ==================== Commands ====================
+
+    /**
+     * Build the command list: menu items, actions, cursor modes, shortcuts
+     */
+    collectCommands() {
+        const commands = [];
+        const seen = new Set();
+        const usage = this.ztgi.analytics ? this.ztgi.analytics.getActionCounts() : {};
+
+        const add = (command) => {
+            if (seen.has(command.id)) return;
+            seen.add(command.id);
+
+            // Actions the target lacks data for can't run (e.g. no data-hash8)
+            const errors = command.action && !command.disabled
+                ? this.ztgi.actions.validate(command.action, this.getTargetData(command.itemData))
+                : [];
+            if (errors.length > 0) {
+                command.disabled = true;
+                command.description = `Needs ${errors.map(e => e.attribute).join(', ')}`;
+            }
+
+            commands.push({
+                shortcut: command.action ? this.ztgi.keyboard.getComboForAction(command.action) : null,
+                usage: usage[command.action] || 0,
+                ...command
+            });
+        };
+
+        this.collectMenuItems().forEach(add);
+
+        // Registered actions and shortcut-bound actions that no menu offers
+        // (menu actions only appear through their, possibly conditional, items)
+        const menuActions = this.ztgi.contextMenu.getMenuActions();
+        const bound = new Set(this.ztgi.keyboard.getBindings().map(binding => binding.action));
+        this.ztgi.getActions().forEach(({ action, label, source }) => {
+            if (menuActions.has(action) || action === 'palette.open' || source === 'cursor') return;
+            // Metadata alone doesn't make an action runnable from here
+            if (!bound.has(action) && !['handler', 'url', 'composite'].includes(source)) return;
+            add({
+                id: `action:${action}`,
+                kind: 'Action',
+                action,
+                label: label || this.humanize(action.split('.').pop()),
+                description: action,
+                run: () => this.runAction(action)
+            });
+        });
+
+        for (const [name, mode] of Object.entries(this.ztgi.cursor.modes)) {
+            add({
+                id: `cursor:${name}`,
+                kind: 'Cursor',
+                action: `cursor.${name}`,
+                label: `${this.humanize(name)} Cursor`,
+                description: mode.hint || null,
+                icon: mode.icon,
+                run: () => this.ztgi.cursor.setMode(name)
+            });
+        }
+
+        // Shortcuts registered in code with a description rather than an action
+        this.ztgi.keyboard.getBindings().forEach(({ combo, scope, action, description }) => {
+            if (action || !description) return;
+            add({
+                id: `shortcut:${scope}:${combo}`,
+                kind: 'Shortcut',
+                label: description,
+                shortcut: combo,
+                run: () => this.ztgi.keyboard.trigger(combo, scope)
+            });
+        });
+
+        return commands;
+    }
+
+    /**
+     * Resolved menu items (conditions applied to the target), flattened
+     */
+    collectMenuItems() {
+        const contextMenu = this.ztgi.contextMenu;
+        const target = this.target || {};
+        const multi = this.selection.length > 1;
+        const commands = [];
+
+        // The target's own menu goes first so its labels win duplicates
+        const ownType = this.target ? contextMenu.detectMenuType(this.target) : null;
+        const types = Object.keys(contextMenu.menus)
+            .filter(type => !type.endsWith(':multi'))
+            .sort((a, b) => (b === ownType) - (a === ownType));
+
+        const visit = (items, context, prefix) => {
+            contextMenu.resolveItems(items, context).forEach(item => {
+                if (item.divider || item.provider) return;
+                const label = prefix ? `${prefix} › ${item.label}` : item.label;
+
+                if (Array.isArray(item.children)) {
+                    visit(item.children, context, label);
+                    return;
+                }
+                if (item.children || !item.action) return;
+
+                const itemData = contextMenu.isCheckable(item)
+                    ? { ...item.data, ...contextMenu.getCheckedData(item) }
+                    : item.data;
+                commands.push({
+                    id: `menu:${item.action}:${JSON.stringify(itemData || {})}`,
+                    kind: 'Menu',
+                    action: item.action,
+                    label,
+                    description: item.description || null,
+                    icon: item.icon,
+                    disabled: !!item.disabled,
+                    itemData,
+                    run: () => this.runAction(item.action, itemData)
+                });
+            });
+        };
+
+        types.forEach(type => {
+            const menuType = multi && contextMenu.menus[`${type}:multi`] ? `${type}:multi` : type;
+            const context = contextMenu.createResolveContext(menuType, target, this.selection);
+            visit(contextMenu.resolveMenu(menuType, target, { selection: this.selection }), context, '');
+        });
+
+        return commands;
+    }
+
+    // The data runAction would pass (see ContextMenu.executeAction)
+    getTargetData(itemData = null) {
+        if (this.selection.length > 1) {
+            return this.selection.map(el => ({ ...el.dataset, ...itemData }));
+        }
+        return { ...(this.target && this.target.dataset), ...itemData };
+    }
+
+    /**
+     * Run an action with the captured element's (or selection's) data
+     */
+    runAction(action, itemData = null) {
+        this.ztgi.contextMenu.executeAction(action, this.target || {}, itemData, this.selection);
+    }
+
+    run(command) {
+        if (!command || command.disabled) return;
+        this.close();
+        command.run();
+    }
+
+    // ==================== Search ====================
+
+    /**
+     * Filter and rank commands for the current query
+     */
+    filter() {
+        const query = this.input.value.trim();
+        const boost = command => Math.log2(1 + command.usage) * 3;
+
+        const ranked = [];
+        this.commands.forEach((command, order) => {
+            const match = fuzzyMatch(query, command.label);
+            if (!match) return;
+            ranked.push({ command, order, indices: match.indices, score: match.score + boost(command) });
+        });
+
+        ranked.sort((a, b) =>
+            (a.command.disabled - b.command.disabled) || (b.score - a.score) || (a.order - b.order));
+
+        this.results = ranked.slice(0, this.maxResults).map(({ command, indices }) => ({ ...command, indices }));
+        this.render();
+        this.setActive(this.results.findIndex(command => !command.disabled));
+    }
+
+    /**
+     * Render the result list
+     */
+    render() {
+        if (this.results.length === 0) {
+            this.list.innerHTML = '<div class="ztgi-palette-empty">No matching commands</div>';
+            return;
+        }
+
+        const baseUrl = this.ztgi.baseUrl || '';
+        this.list.innerHTML = this.results.map((command, index) => `
+            <div class="ztgi-palette-item" role="option" id="ztgi-palette-option-${index}" data-index="${index}"
+                aria-selected="false" ${command.disabled ? 'aria-disabled="true"' : ''}>
+                ${renderIcon(command.icon, baseUrl) || '<span class="ztgi-icon" aria-hidden="true"></span>'}
+                <span class="ztgi-palette-text">
+                    <span class="ztgi-palette-label">${highlightMatches(command.label, command.indices)}</span>
+                    ${command.description ? `<span class="ztgi-palette-description">${this.escapeHtml(command.description)}</span>` : ''}
+                </span>
+                <span class="ztgi-palette-kind">${command.kind}</span>
+                ${command.shortcut ? `<kbd class="ztgi-palette-shortcut">${this.formatKeyCombo(command.shortcut)}</kbd>` : ''}
+            </div>
+        `).join('');
+    }
+
+    setActive(index) {
+        const options = this.list.querySelectorAll('[role="option"]');
+        options.forEach((option, i) => option.setAttribute('aria-selected', i === index ? 'true' : 'false'));
+        this.activeIndex = index;
+
+        if (options[index]) {
+            this.input.setAttribute('aria-activedescendant', options[index].id);
+            if (options[index].scrollIntoView) options[index].scrollIntoView({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    handleKeydown(e) {
+        const count = this.results.length;
+
+        // Keep typing out of the global shortcuts
+        e.stopPropagation();
+
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            this.close();
+            return;
+        }
+
+        switch (e.key) {
+            case 'ArrowDown':
+                if (count) this.setActive((this.activeIndex + 1) % count);
+                break;
+            case 'ArrowUp':
+                if (count) this.setActive(this.activeIndex <= 0 ? count - 1 : this.activeIndex - 1);
+                break;
+            case 'Enter':
+                this.run(this.results[this.activeIndex]);
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+    }
+
+    // ==================== Helpers ====================
+
+    humanize(name) {
+        return name
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .replace(/[-_]/g, ' ')
+            .replace(/\b\w/g, char => char.toUpperCase());
+    }
+
+    formatKeyCombo(combo) {
+        return this.ztgi.settings ? this.ztgi.settings.formatKeyCombo(combo) : combo;
+    }
+
+    /**
+     * Escape HTML for safe display
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Add CSS styles
+     */
+    addStyles() {
+        if (document.getElementById('ztgi-palette-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'ztgi-palette-styles';
+        style.textContent = `
+            .ztgi-palette-overlay {
+                position: fixed;
+                inset: 0;
+                background: rgba(0,0,0,0.5);
+                display: flex;
+                align-items: flex-start;
+                justify-content: center;
+                padding-top: 15vh;
+                z-index: 20000;
+            }
+            .ztgi-palette {
+                background: #1e1e1e;
+                border: 1px solid #3a3a3a;
+                border-radius: 12px;
+                width: 560px;
+                max-width: 90vw;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.4);
+                color: #e0e0e0;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                overflow: hidden;
+            }
+            .ztgi-palette-input {
+                width: 100%;
+                box-sizing: border-box;
+                padding: 14px 16px;
+                background: transparent;
+                border: none;
+                border-bottom: 1px solid #333;
+                color: #e0e0e0;
+                font-size: 15px;
+                outline: none;
+            }
+            .ztgi-palette-list {
+                max-height: 50vh;
+                overflow-y: auto;
+                padding: 4px 0;
+            }
+            .ztgi-palette-item {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                padding: 8px 16px;
+                cursor: pointer;
+                font-size: 13px;
+            }
+            .ztgi-palette-item[aria-selected="true"] {
+                background: #2a2a2a;
+            }
+            .ztgi-palette-item[aria-disabled="true"] {
+                color: #666;
+                cursor: default;
+            }
+            .ztgi-palette-item .ztgi-icon {
+                width: 16px;
+                text-align: center;
+            }
+            .ztgi-palette-text {
+                flex: 1;
+                display: flex;
+                flex-direction: column;
+                min-width: 0;
+            }
+            .ztgi-palette-label mark {
+                background: none;
+                color: #4a9eff;
+                font-weight: 600;
+            }
+            .ztgi-palette-description {
+                color: #888;
+                font-size: 11px;
+                margin-top: 2px;
+                white-space: nowrap;
+                overflow: hidden;
+                text-overflow: ellipsis;
+            }
+            .ztgi-palette-kind {
+                color: #888;
+                font-size: 11px;
+            }
+            .ztgi-palette-shortcut {
+                background: #2a2a2a;
+                border: 1px solid #3a3a3a;
+                border-radius: 4px;
+                padding: 2px 6px;
+                font-size: 11px;
+                font-family: inherit;
+                color: #aaa;
+            }
+            .ztgi-palette-empty {
+                padding: 16px;
+                color: #888;
+                font-size: 13px;
+                text-align: center;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        if (this.overlay) this.overlay.remove();
+        const styles = document.getElementById('ztgi-palette-styles');
+        if (styles) styles.remove();
+    }
+}
+
+export { CommandPalette };
@@ -0,0 +1,248 @@
+/**
+ * Condition Parser
+ *
+ * A small, safe expression language for menu item conditions (`when`,
+ * `enabledWhen`). Expressions are evaluated against an element's dataset;
+ * nothing is ever passed to eval/Function.
+ *
+ * Supported syntax:
+ *   hash8                      attribute is present (and not "false")
+ *   !pinned                    attribute is absent
+ *   type == 'derived'          comparison (==, !=, <, <=, >, >=)
+ *   count > 2 && !locked       logical and/or, parentheses
+ *   status in ['open', 'new']  membership in a list
+ *
+ * Usage:
+ *   const parser = new ConditionParser();
+ *   parser.evaluate('hash8 && !pinned', element.dataset); // true/false
+ */
+
+class ConditionParser {
+    constructor() {
+        this.cache = new Map();
+    }
+
+    /**
+     * Evaluate an expression (or predicate function) against data
+     */
+    evaluate(condition, data = {}, target = null) {
+        if (condition === undefined || condition === null || condition === '') return true;
+        if (typeof condition === 'function') return !!condition(data, target);
+        if (typeof condition === 'boolean') return condition;
+
+        try {
+            return this.truthy(this.evalNode(this.parse(condition), data));
+        } catch (error) {
+            console.warn(`[ConditionParser] Invalid condition "${condition}":`, error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Check an expression compiles, returning an error message or null
+     */
+    validate(condition) {
+        if (typeof condition !== 'string') return null;
+        try {
+            this.parse(condition);
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * Parse an expression into an AST (cached per expression string)
+     */
+    parse(expression) {
+        if (this.cache.has(expression)) return this.cache.get(expression);
+
+        this.tokens = this.tokenize(expression);
+        this.pos = 0;
+        const ast = this.parseOr();
+        if (this.pos < this.tokens.length) {
+            throw new Error(`Unexpected "${this.tokens[this.pos].value}"`);
+        }
+
+        this.cache.set(expression, ast);
+        return ast;
+    }
+
+    // ==================== Tokenizer ====================
+
+    tokenize(expression) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_$][\w$]*)|(&&|\|\||==|!=|<=|>=|[!<>()[\],]))/y;
+        let index = 0;
+
+        while (index < expression.length) {
+            if (/^\s*$/.test(expression.slice(index))) break;
+
+            pattern.lastIndex = index;
+            const match = pattern.exec(expression);
+            if (!match) {
+                throw new Error(`Unexpected character at ${index}`);
+            }
+            index = pattern.lastIndex;
+
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'literal', value: Number(match[1]) });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'literal', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+            } else if (match[3] !== undefined) {
+                const word = match[3];
+                if (word === 'true' || word === 'false') {
+                    tokens.push({ type: 'literal', value: word === 'true' });
+                } else if (word === 'null') {
+                    tokens.push({ type: 'literal', value: null });
+                } else if (word === 'in') {
+                    tokens.push({ type: 'op', value: 'in' });
+                } else {
+                    tokens.push({ type: 'ident', value: word });
+                }
+            } else {
+                tokens.push({ type: 'op', value: match[4] });
+            }
+        }
+
+        return tokens;
+    }
+
+    // ==================== Parser ====================
+
+    peek(value) {
+        const token = this.tokens[this.pos];
+        return token && token.type === 'op' && token.value === value;
+    }
+
+    expect(value) {
+        if (!this.peek(value)) {
+            const token = this.tokens[this.pos];
+            throw new Error(`Expected "${value}" but found ${token ? `"${token.value}"` : 'end of expression'}`);
+        }
+        this.pos++;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.peek('||')) {
+            this.pos++;
+            left = { type: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseComparison();
+        while (this.peek('&&')) {
+            this.pos++;
+            left = { type: 'and', left, right: this.parseComparison() };
+        }
+        return left;
+    }
+
+    parseComparison() {
+        const left = this.parseUnary();
+        for (const op of ['==', '!=', '<=', '>=', '<', '>', 'in']) {
+            if (this.peek(op)) {
+                this.pos++;
+                return { type: 'compare', op, left, right: this.parseUnary() };
+            }
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.peek('!')) {
+            this.pos++;
+            return { type: 'not', operand: this.parseUnary() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.tokens[this.pos];
+        if (!token) throw new Error('Unexpected end of expression');
+
+        if (this.peek('(')) {
+            this.pos++;
+            const node = this.parseOr();
+            this.expect(')');
+            return node;
+        }
+
+        if (this.peek('[')) {
+            this.pos++;
+            const items = [];
+            while (!this.peek(']')) {
+                items.push(this.parsePrimary());
+                if (!this.peek(']')) this.expect(',');
+            }
+            this.pos++;
+            return { type: 'list', items };
+        }
+
+        this.pos++;
+        if (token.type === 'literal') return { type: 'literal', value: token.value };
+        if (token.type === 'ident') return { type: 'ident', name: token.value };
+        throw new Error(`Unexpected "${token.value}"`);
+    }
+
+    // ==================== Evaluation ====================
+
+    evalNode(node, data) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'ident':
+                return data[node.name];
+            case 'list':
+                return node.items.map(item => this.evalNode(item, data));
+            case 'not':
+                return !this.truthy(this.evalNode(node.operand, data));
+            case 'and':
+                return this.truthy(this.evalNode(node.left, data)) && this.truthy(this.evalNode(node.right, data));
+            case 'or':
+                return this.truthy(this.evalNode(node.left, data)) || this.truthy(this.evalNode(node.right, data));
+            case 'compare':
+                return this.compare(node.op, this.evalNode(node.left, data), this.evalNode(node.right, data));
+            default:
+                throw new Error(`Unknown node type: ${node.type}`);
+        }
+    }
+
+    // Dataset values are strings, so "" means the attribute is present
+    truthy(value) {
+        if (value === undefined || value === null || value === false) return false;
+        if (value === 'false' || value === 0) return false;
+        return true;
+    }
+
+    // Compare numerically when both sides look like numbers
+    compare(op, left, right) {
+        if (op === 'in') {
+            return Array.isArray(right) && right.some(item => this.compare('==', left, item));
+        }
+
+        const isNumeric = v => v !== '' && v !== null && v !== undefined && !isNaN(Number(v));
+        if (isNumeric(left) && isNumeric(right)) {
+            left = Number(left);
+            right = Number(right);
+        } else if (typeof left === 'boolean' || typeof right === 'boolean') {
+            left = this.truthy(left);
+            right = this.truthy(right);
+        }
+
+        switch (op) {
+            case '==': return left === right || (left == null && right == null);
+            case '!=': return !(left === right || (left == null && right == null));
+            case '<': return left < right;
+            case '<=': return left <= right;
+            case '>': return left > right;
+            case '>=': return left >= right;
+            default: return false;
+        }
+    }
+}
+
+export { ConditionParser };
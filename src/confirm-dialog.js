@@ -0,0 +1,225 @@
+/**
+ * Confirm Dialog
+ *
+ * Styled in-app replacement for window.confirm, used before risky actions.
+ * The confirm button is coloured by risk level ('low', 'medium', 'high'), and
+ * the dialog can offer a "Don't ask again" checkbox.
+ *
+ * Usage:
+ *   const dialog = new ConfirmDialog();
+ *   const { confirmed, remember } = await dialog.show({
+ *     title: 'Clear Canvas',
+ *     message: 'Remove every node and connection?',
+ *     risk: 'high',
+ *     confirmLabel: 'Clear'
+ *   });
+ */
+
+class ConfirmDialog {
+    constructor() {
+        this.overlay = null;
+        this.settle = null;     // finishes the open dialog's promise
+    }
+
+    /**
+     * Show the dialog; resolves with { confirmed, remember }
+     */
+    show(options = {}) {
+        const {
+            title = 'Are you sure?',
+            message = '',
+            risk = 'medium',
+            confirmLabel = 'Confirm',
+            cancelLabel = 'Cancel',
+            allowRemember = false
+        } = options;
+
+        this.addStyles();
+        this.close();
+
+        const returnFocus = document.activeElement;
+        const overlay = document.createElement('div');
+        overlay.className = 'ztgi-confirm-overlay';
+        overlay.innerHTML = `
+            <div class="ztgi-confirm-modal ztgi-confirm-risk-${risk}" role="alertdialog" aria-modal="true"
+                aria-labelledby="ztgi-confirm-title" aria-describedby="ztgi-confirm-message">
+                <div class="ztgi-confirm-header">
+                    <span class="ztgi-confirm-icon">${risk === 'high' ? '⚠️' : '❔'}</span>
+                    <span class="ztgi-confirm-title" id="ztgi-confirm-title"></span>
+                </div>
+                <p class="ztgi-confirm-message" id="ztgi-confirm-message"></p>
+                ${allowRemember ? `
+                    <label class="ztgi-confirm-remember">
+                        <input type="checkbox" /> Don't ask again
+                    </label>
+                ` : ''}
+                <div class="ztgi-confirm-actions">
+                    <button class="ztgi-confirm-btn ztgi-confirm-btn-cancel"></button>
+                    <button class="ztgi-confirm-btn ztgi-confirm-btn-confirm"></button>
+                </div>
+            </div>
+        `;
+        overlay.querySelector('.ztgi-confirm-title').textContent = title;
+        overlay.querySelector('.ztgi-confirm-message').textContent = message;
+        overlay.querySelector('.ztgi-confirm-btn-cancel').textContent = cancelLabel;
+        overlay.querySelector('.ztgi-confirm-btn-confirm').textContent = confirmLabel;
+
+        document.body.appendChild(overlay);
+        this.overlay = overlay;
+
+        const cancelButton = overlay.querySelector('.ztgi-confirm-btn-cancel');
+        const confirmButton = overlay.querySelector('.ztgi-confirm-btn-confirm');
+
+        // High-risk actions default to Cancel so Enter doesn't destroy anything
+        (risk === 'high' ? cancelButton : confirmButton).focus();
+
+        return new Promise((resolve) => {
+            const finish = (confirmed) => {
+                if (this.settle === finish) this.settle = null;
+                const checkbox = overlay.querySelector('.ztgi-confirm-remember input');
+                this.close();
+                if (returnFocus && returnFocus.isConnected) returnFocus.focus({ preventScroll: true });
+                resolve({ confirmed, remember: confirmed && !!(checkbox && checkbox.checked) });
+            };
+
+            this.settle = finish;
+            confirmButton.onclick = () => finish(true);
+            cancelButton.onclick = () => finish(false);
+            overlay.onclick = (e) => {
+                if (e.target === overlay) finish(false);
+            };
+
+            overlay.addEventListener('keydown', (e) => {
+                // Keep keys away from global shortcuts while the dialog is up
+                e.stopPropagation();
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    finish(false);
+                } else if (e.key === 'Tab') {
+                    // Keep focus inside the dialog
+                    const focusable = Array.from(overlay.querySelectorAll('button, input'));
+                    const index = focusable.indexOf(document.activeElement);
+                    const next = e.shiftKey ? index - 1 : index + 1;
+                    e.preventDefault();
+                    focusable[(next + focusable.length) % focusable.length].focus();
+                }
+            });
+        });
+    }
+
+    // Closing (or replacing) an open dialog answers it as cancelled
+    close() {
+        if (this.settle) {
+            this.settle(false);
+            return;
+        }
+        if (this.overlay) this.overlay.remove();
+        this.overlay = null;
+    }
+
+    /**
+     * Add dialog styles
+     */
+    addStyles() {
+        if (document.getElementById('ztgi-confirm-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'ztgi-confirm-styles';
+        style.textContent = `
+            .ztgi-confirm-overlay {
+                position: fixed;
+                inset: 0;
+                background: rgba(0,0,0,0.6);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 20100;
+            }
+            .ztgi-confirm-modal {
+                background: #1e1e1e;
+                border: 1px solid #3a3a3a;
+                border-radius: 12px;
+                width: 380px;
+                max-width: 90vw;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.4);
+                color: #e0e0e0;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+            .ztgi-confirm-risk-high {
+                border-color: #e5534b;
+            }
+            .ztgi-confirm-header {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                padding: 16px 20px 0;
+            }
+            .ztgi-confirm-icon {
+                font-size: 20px;
+            }
+            .ztgi-confirm-title {
+                font-weight: 600;
+                font-size: 16px;
+            }
+            .ztgi-confirm-message {
+                margin: 0;
+                padding: 12px 20px 16px;
+                font-size: 14px;
+                line-height: 1.5;
+                color: #ccc;
+            }
+            .ztgi-confirm-remember {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 0 20px 16px;
+                font-size: 13px;
+                color: #aaa;
+                cursor: pointer;
+            }
+            .ztgi-confirm-actions {
+                display: flex;
+                gap: 12px;
+                padding: 16px 20px;
+                border-top: 1px solid #333;
+                justify-content: flex-end;
+            }
+            .ztgi-confirm-btn {
+                padding: 10px 20px;
+                border: none;
+                border-radius: 8px;
+                font-size: 14px;
+                font-weight: 500;
+                cursor: pointer;
+                transition: background 0.2s;
+            }
+            .ztgi-confirm-btn:focus-visible {
+                outline: 2px solid #4a9eff;
+                outline-offset: 2px;
+            }
+            .ztgi-confirm-btn-cancel {
+                background: #333;
+                color: #ccc;
+            }
+            .ztgi-confirm-btn-cancel:hover {
+                background: #444;
+            }
+            .ztgi-confirm-btn-confirm {
+                background: #4a9eff;
+                color: white;
+            }
+            .ztgi-confirm-risk-medium .ztgi-confirm-btn-confirm {
+                background: #d9822b;
+            }
+            .ztgi-confirm-risk-high .ztgi-confirm-btn-confirm {
+                background: #e5534b;
+            }
+            .ztgi-confirm-btn-confirm:hover {
+                filter: brightness(1.1);
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+export { ConfirmDialog };
@@ -3,27 +3,119 @@
  *
  * Usage:
  *   ZtgiUI.contextMenu.register('cnp-entry', [
- *     { label: '🔗 View Chain', action: 'viewChain', shortcut: 'C' },
- *     { label: '🤖 Ask AI', action: 'askAI', shortcut: 'A' },
+ *     { icon: '🔗', label: 'View Chain', action: 'viewChain', shortcut: 'C' },
+ *     { icon: '🤖', label: 'Ask AI', action: 'askAI', shortcut: 'A' },
  *     { divider: true },
- *     { label: '📅 Add to Calendar', action: 'addCalendar' },
+ *     { icon: '📅', label: 'Add to Calendar', action: 'addCalendar' },
+ *     { icon: '🎨', label: 'Change Type', action: 'changeType', children: [
+ *       { label: 'Related', action: 'changeType', data: { connectionType: 'related' } },
+ *       { label: 'Derived', action: 'changeType', data: { connectionType: 'derived' } }
+ *     ]},
+ *     { icon: '📌', label: 'Pin', action: 'pin', when: '!pinned' },
+ *     { icon: '📋', label: 'Copy Hash', action: 'copyHash', enabledWhen: 'hash8' }
  *   ]);
  *
  *   ZtgiUI.contextMenu.onAction('viewChain', (target, data) => {
  *     window.location.href = '/chain/' + data.hash8;
  *   });
+ *
+ * Keyboard: Shift+F10 or the ContextMenu key opens the menu for the focused
+ * [data-context] element. Arrow keys, Home/End and type-ahead move focus,
+ * Enter/Space activates, and an item's shortcut letter triggers it directly.
+ *
+ * Search: in menus with at least `searchThreshold` items (default 8), typing
+ * filters the items with fuzzy matching (see fuzzyMatch), highlights the
+ * matched characters and focuses the best enabled match, so Enter runs it.
+ * Backspace edits the query and Escape clears it. Smaller menus keep
+ * type-ahead.
+ *
+ * Conditions: `when` hides an item and `enabledWhen` greys it out unless the
+ * expression (see ConditionParser) holds for the element's data attributes.
+ *
+ * Dynamic items: a menu, a `{ provider }` item or an item's `children` may be
+ * a function (or the name of a registered provider) that receives the target
+ * element and its data and returns items, synchronously or as a Promise:
+ *
+ *   ZtgiUI.contextMenu.registerProvider('agents.running', async (target, data) => {
+ *     const agents = await fetchRunningAgents();
+ *     return agents.map(a => ({ label: a.name, action: 'email.forwardToAgent', data: { agentId: a.id } }));
+ *   }, { ttl: 30000 });
+ *
+ *   { icon: '🤖', label: 'Forward to Agent', action: 'email.forwardToAgent', children: 'agents.running' }
+ *
+ * Resolution: menus are resolved at open time by running the registered base
+ * items through resolvers (user settings, customizer changes), dropping hidden
+ * and `when`-excluded items and collapsing stray dividers. Inspect the result:
+ *
+ *   ZtgiUI.contextMenu.resolveMenu('cnp-flow-node', element);   // or a data object
+ *
+ * Multi-selection: right-clicking one of several selected elements opens the
+ * bulk variant of the menu (a registered `${type}:multi` menu if present,
+ * otherwise items declaring `selection: 'multi'` or `'both'`; the default is
+ * 'single'). `multiLabel` may use {count}, and actions receive an array of
+ * data objects, one per selected element:
+ *
+ *   { icon: '📤', label: 'Export', multiLabel: 'Export {count} entries', action: 'cnp.export', selection: 'both' }
+ *
+ * Presentation: `icon` (emoji, asset path such as /cursors/chain.svg, or URL),
+ * `description` (secondary line and tooltip) and `badge` (text or count; may
+ * be fn(target, data) or use {key} placeholders filled from the element data):
+ *
+ *   { icon: '🔗', label: 'View Chain', description: 'Follow provenance', badge: '{chainLength}', action: 'cnp.viewChain' }
+ *
+ * Stateful items: `type: 'checkbox'` / `'toggle'` items take their state from
+ * `checkedWhen` (a condition) or `checked` (boolean or fn(target, data)), and
+ * fire their action with `{ checked }` set to the new value. `type: 'radio'`
+ * items share a `group` and are checked when data[group] equals their `value`;
+ * choosing one fires the action with `{ [group]: value }`:
+ *
+ *   { type: 'checkbox', label: 'Show Neighbors', action: 'graph.showNeighbors', checkedWhen: 'neighborsVisible' }
+ *   { type: 'radio', group: 'connectionType', value: 'derived', label: 'Derived', action: 'flow.changeConnectionType' }
+ *
+ * Touch: a long-press (touch or pen) opens the menu, and on small viewports
+ * menus are presented as a bottom sheet. Tune with:
+ *
+ *   ZtgiUI.contextMenu.configure({ longPressDelay: 500, longPressTolerance: 10, sheetBreakpoint: 600, searchThreshold: 8 });
  */
 
+import { ConditionParser } from './condition-parser.js';
+import { renderIcon } from './utils.js';
+import { fuzzyFilter, highlightMatches } from './fuzzy-match.js';
+
 class ContextMenu {
     constructor() {
         this.menus = {};
         this.handlers = {};
         this.activeMenu = null;
+        this.submenus = [];
+        this.submenuDelay = 150;
+        this.submenuTimer = null;
+        this.returnFocus = null;
+        this.openedWithoutEventAt = 0;
+        this.longPress = null;
+        this.suppressClick = false;
+        this.backdrop = null;
+        this.options = {
+            baseUrl: '',
+            longPressDelay: 500,
+            longPressTolerance: 10,
+            sheetBreakpoint: 600,
+            searchThreshold: 8
+        };
+        this.typeAhead = '';
+        this.search = null;
+        this.typeAheadTimer = null;
+        this.providers = {};
+        this.providerCache = {};
+        this.resolvers = [];
+        this.conditions = new ConditionParser();
         this.actionRouter = null;
+        this.selection = null;
     }
 
-    init(actionRouter) {
+    init(actionRouter, selection = null) {
         this.actionRouter = actionRouter;
+        this.selection = selection;
 
         // Intercept right-click
         document.addEventListener('contextmenu', (e) => {
@@ -36,30 +128,314 @@ class ContextMenu {
             });
             if (menuType && this.menus[menuType]) {
                 e.preventDefault();
+                this.cancelLongPress();
+                // Keyboard and long-press menus may be followed by a native contextmenu event
+                if (this.activeMenu && Date.now() - this.openedWithoutEventAt < 500) return;
                 this.show(e.clientX, e.clientY, menuType, e.target);
             }
         });
 
+        // Long-press for touch and pen
+        document.addEventListener('pointerdown', (e) => this.startLongPress(e));
+        document.addEventListener('pointermove', (e) => this.trackLongPress(e));
+        document.addEventListener('pointerup', () => this.cancelLongPress());
+        document.addEventListener('pointercancel', () => this.cancelLongPress());
+
+        // Swallow the click produced by releasing a long-press
+        document.addEventListener('click', (e) => {
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        }, true);
+
         // Close on click outside
         document.addEventListener('click', (e) => {
-            if (this.activeMenu && !this.activeMenu.contains(e.target)) {
+            if (this.activeMenu && !this.containsTarget(e.target)) {
                 this.hide();
             }
         });
 
-        // Close on escape
+        // Menu keyboard navigation runs in the capture phase so that global
+        // shortcuts (KeyboardManager) don't fire while a menu is open
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') this.hide();
-        });
+            if (this.activeMenu) {
+                this.handleMenuKeydown(e);
+            } else if (e.key === 'ContextMenu' || (e.shiftKey && e.key === 'F10')) {
+                this.openFromKeyboard(e);
+            }
+        }, true);
 
         // Close on scroll
         document.addEventListener('scroll', () => this.hide(), true);
     }
 
     register(type, items) {
+        // A provider function stands in for the whole menu
+        if (typeof items === 'function') {
+            items = [{ provider: items }];
+        }
+        this.validateConditions(type, items);
         this.menus[type] = items;
     }
 
+    /**
+     * Every action referenced by a registered menu (static items)
+     */
+    getMenuActions() {
+        const actions = new Set();
+        const visit = (items) => {
+            if (!Array.isArray(items)) return;
+            items.forEach(item => {
+                if (item.action) actions.add(item.action);
+                visit(item.children);
+            });
+        };
+        Object.values(this.menus).forEach(visit);
+        return actions;
+    }
+
+    /**
+     * Register a named item provider.
+     * Options: ttl (ms to cache results, 0 = no caching) and
+     * key(target, data) to derive the cache key (defaults to one entry).
+     */
+    registerProvider(name, fn, options = {}) {
+        this.providers[name] = { fn, ttl: options.ttl || 0, key: options.key || null };
+        this.invalidateProvider(name);
+    }
+
+    // Drop cached results for one provider (or all providers)
+    invalidateProvider(name = null) {
+        if (name) {
+            delete this.providerCache[name];
+        } else {
+            this.providerCache = {};
+        }
+    }
+
+    /**
+     * Run a provider, returning items or a Promise of items.
+     * Named providers with a ttl serve cached (or in-flight) results.
+     */
+    runProvider(provider, target, data, context = null) {
+        if (typeof provider === 'function') {
+            return provider(target, data, context);
+        }
+
+        const entry = this.providers[provider];
+        if (!entry) {
+            console.warn(`[ZTGI-UI] No menu provider registered: ${provider}`);
+            return [];
+        }
+        if (!entry.ttl) {
+            return entry.fn(target, data, context);
+        }
+
+        const key = entry.key ? String(entry.key(target, data)) : '*';
+        const cache = this.providerCache[provider] || (this.providerCache[provider] = {});
+        const cached = cache[key];
+        if (cached && cached.expires > Date.now()) {
+            return cached.value;
+        }
+
+        const result = entry.fn(target, data, context);
+        const store = (value) => {
+            cache[key] = { value, expires: Date.now() + entry.ttl };
+        };
+
+        if (result && typeof result.then === 'function') {
+            // Cache the in-flight promise so concurrent opens share it
+            store(result.then(items => {
+                store(items);
+                return items;
+            }, err => {
+                delete cache[key];
+                throw err;
+            }));
+            return cache[key].value;
+        }
+
+        store(result);
+        return result;
+    }
+
+    // Warn early about malformed condition expressions in menu config
+    validateConditions(type, items) {
+        items.forEach(item => {
+            ['when', 'enabledWhen', 'checkedWhen'].forEach(key => {
+                const error = this.conditions.validate(item[key]);
+                if (error) {
+                    console.warn(`[ZTGI-UI] Invalid ${key} on ${type} item "${item.label}": ${error}`);
+                }
+            });
+            if (Array.isArray(item.children)) {
+                this.validateConditions(type, item.children);
+            }
+        });
+    }
+
+    /**
+     * Add a resolver stage: fn(items, { type, target, data, selection }) returns the
+     * item list for that menu type (filtered, reordered or extended).
+     */
+    addResolver(fn) {
+        this.resolvers.push(fn);
+        return () => {
+            this.resolvers = this.resolvers.filter(r => r !== fn);
+        };
+    }
+
+    /**
+     * Resolve the menu for a type as it would be shown for a target.
+     * Target may be an element, a plain data object, or omitted to skip
+     * condition evaluation (static view of the menu).
+     */
+    resolveMenu(type, target = null, options = {}) {
+        const context = this.createResolveContext(type, target, options.selection);
+        let items = this.menus[type] || [];
+
+        for (const resolver of this.resolvers) {
+            items = resolver(items, context) || items;
+        }
+
+        return this.resolveItems(items, context);
+    }
+
+    createResolveContext(type, target, selection = null) {
+        const context = {
+            type,
+            target: null,
+            data: null,
+            selection: selection || [],
+            multi: !!selection && selection.length > 1,
+            defaultSelection: type && type.endsWith(':multi') ? 'multi' : 'single'
+        };
+
+        if (target && target.dataset) {
+            context.target = target;
+            context.data = { ...target.dataset };
+        } else if (target) {
+            context.data = { ...target };
+        }
+
+        // Conditions can check how many elements the bulk menu acts on
+        if (context.multi && context.data) {
+            context.data.count = selection.length;
+        }
+
+        return context;
+    }
+
+    // The selection an action would apply to when opened on this element
+    getSelectionFor(contextElement) {
+        if (this.selection && this.selection.isSelected(contextElement)) {
+            return this.selection.getSelected();
+        }
+        return [contextElement];
+    }
+
+    supportsSelection(item, context) {
+        // Everything in a dedicated bulk menu applies to the selection
+        if (!item.selection && context.defaultSelection === 'multi') return true;
+
+        const mode = item.selection || context.defaultSelection;
+        if (mode === 'both') return true;
+        return context.multi ? mode === 'multi' : mode === 'single';
+    }
+
+    // Apply hidden flags and conditions to one level of items
+    resolveItems(items, context) {
+        if (!Array.isArray(items)) {
+            items = [{ provider: items }];
+        }
+
+        const resolved = [];
+        items.forEach(item => {
+            if (item.hidden) return;
+            if (item.divider || item.provider) {
+                resolved.push(item);
+                return;
+            }
+            if (!this.supportsSelection(item, context)) return;
+            if (context.data && !this.isItemVisible(item, context.data, context.target)) return;
+
+            const disabled = !!item.disabled ||
+                (!!context.data && !this.isItemEnabled(item, context.data, context.target));
+            const label = context.multi && item.multiLabel
+                ? item.multiLabel.replace(/\{count\}/g, context.selection.length)
+                : item.label;
+            const resolvedItem = { ...item, label, disabled, badge: this.resolveBadge(item, context) };
+            if (this.isCheckable(item)) {
+                resolvedItem.checked = this.isItemChecked(item, context);
+            }
+            resolved.push(resolvedItem);
+        });
+
+        return this.collapseDividers(resolved);
+    }
+
+    // Drop leading, trailing and repeated dividers
+    collapseDividers(items) {
+        const collapsed = [];
+        items.forEach(item => {
+            if (item.divider && (collapsed.length === 0 || collapsed[collapsed.length - 1].divider)) return;
+            collapsed.push(item);
+        });
+        while (collapsed.length && collapsed[collapsed.length - 1].divider) {
+            collapsed.pop();
+        }
+        return collapsed;
+    }
+
+    // Badges may be static, computed, or templated from the element's data
+    resolveBadge(item, context) {
+        let badge = item.badge;
+        if (typeof badge === 'function') {
+            badge = badge(context.target, context.data || {});
+        } else if (typeof badge === 'string' && badge.includes('{')) {
+            const data = context.data || {};
+            badge = badge.replace(/\{(\w+)\}/g, (match, key) => data[key] !== undefined ? data[key] : '');
+        }
+        if (badge === undefined || badge === null || badge === '' || badge === 0 || badge === '0') {
+            return null;
+        }
+        return badge;
+    }
+
+    isCheckable(item) {
+        return item.type === 'checkbox' || item.type === 'toggle' || item.type === 'radio';
+    }
+
+    // Checked state from the item's callback/flag, condition, or radio group data
+    isItemChecked(item, context) {
+        const data = context.data || {};
+        if (typeof item.checked === 'function') return !!item.checked(context.target, data);
+        if (typeof item.checked === 'boolean') return item.checked;
+        if (item.checkedWhen) return this.conditions.evaluate(item.checkedWhen, data, context.target);
+        if (item.type === 'radio' && item.group) {
+            return data[item.group] !== undefined && String(data[item.group]) === String(item.value);
+        }
+        return false;
+    }
+
+    // Data sent with a stateful item's action: the value it switches to
+    getCheckedData(item) {
+        if (item.type === 'radio') {
+            return { [item.group || 'value']: item.value, value: item.value };
+        }
+        return { checked: !item.checked };
+    }
+
+    isItemVisible(item, data, target) {
+        return this.conditions.evaluate(item.when, data, target);
+    }
+
+    isItemEnabled(item, data, target) {
+        return this.conditions.evaluate(item.enabledWhen, data, target);
+    }
+
     onAction(action, handler) {
         this.handlers[action] = handler;
     }
@@ -87,63 +463,634 @@ class ContextMenu {
         return target;
     }
 
-    show(x, y, type, target) {
-        this.hide();
+    configure(options = {}) {
+        Object.assign(this.options, options);
+    }
+
+    startLongPress(e) {
+        // A new press means any click from a previous long-press has passed
+        this.suppressClick = false;
+        if (e.pointerType === 'mouse' || !e.isPrimary) return;
+
+        const menuType = this.detectMenuType(e.target);
+        if (!menuType || !this.menus[menuType]) return;
+
+        this.cancelLongPress();
+        const x = e.clientX;
+        const y = e.clientY;
+        const target = e.target;
+
+        this.longPress = {
+            x,
+            y,
+            pointerId: e.pointerId,
+            timer: setTimeout(() => {
+                this.longPress = null;
+                this.openedWithoutEventAt = Date.now();
+                this.suppressClick = true;
+                setTimeout(() => { this.suppressClick = false; }, 600);
+                if (navigator.vibrate) navigator.vibrate(10);
+                this.show(x, y, menuType, target, { focus: false });
+            }, this.options.longPressDelay)
+        };
+    }
+
+    // Moving beyond the tolerance means the user is scrolling or dragging
+    trackLongPress(e) {
+        if (!this.longPress || e.pointerId !== this.longPress.pointerId) return;
+        const distance = Math.hypot(e.clientX - this.longPress.x, e.clientY - this.longPress.y);
+        if (distance > this.options.longPressTolerance) {
+            this.cancelLongPress();
+        }
+    }
+
+    cancelLongPress() {
+        if (this.longPress) {
+            clearTimeout(this.longPress.timer);
+            this.longPress = null;
+        }
+    }
+
+    isSheetViewport() {
+        return window.innerWidth <= this.options.sheetBreakpoint;
+    }
+
+    show(x, y, type, target, options = {}) {
+        this.hide({ restoreFocus: false });
+
+        const contextElement = this.findContextElement(target);
+        const selection = this.getSelectionFor(contextElement);
+        const menuType = selection.length > 1 && this.menus[`${type}:multi`] ? `${type}:multi` : type;
+        const context = this.createResolveContext(menuType, contextElement, selection);
+        const menu = this.buildMenu(this.resolveMenu(menuType, contextElement, { selection }), context);
+
+        this.activeMenu = menu;
+        this.returnFocus = contextElement.isConnected ? contextElement : document.activeElement;
+
+        if (this.isSheetViewport()) {
+            this.showSheet(menu);
+            if (options.focus !== false) this.focusItem(this.getMenuItems(menu)[0]);
+            return;
+        }
 
-        const menu = document.createElement('div');
-        menu.className = 'ztgi-context-menu';
         menu.style.left = `${x}px`;
         menu.style.top = `${y}px`;
+        document.body.appendChild(menu);
+        if (options.focus !== false) this.focusItem(this.getMenuItems(menu)[0]);
 
-        const contextElement = this.findContextElement(target);
-        const items = this.menus[type];
+        // Adjust position if off-screen
+        requestAnimationFrame(() => {
+            const rect = menu.getBoundingClientRect();
+            if (rect.right > window.innerWidth) {
+                menu.style.left = `${Math.max(0, x - rect.width)}px`;
+            }
+            if (rect.bottom > window.innerHeight) {
+                menu.style.top = `${Math.max(0, y - rect.height)}px`;
+            }
+        });
+    }
+
+    // Present a menu as a bottom sheet over a backdrop (small viewports)
+    showSheet(menu) {
+        if (!this.backdrop) {
+            this.backdrop = document.createElement('div');
+            this.backdrop.className = 'ztgi-menu-backdrop';
+        }
+        document.body.appendChild(this.backdrop);
+        menu.classList.add('ztgi-menu-sheet');
+        document.body.appendChild(menu);
+    }
+
+    // Build a menu element (root or submenu) for a list of items
+    buildMenu(items, context, depth = 0) {
+        const menu = document.createElement('div');
+        menu.className = depth > 0 ? 'ztgi-context-menu ztgi-submenu' : 'ztgi-context-menu';
+        menu.dataset.depth = depth;
+        menu.setAttribute('role', 'menu');
+        menu.tabIndex = -1;
+
+        this.appendItems(menu, items, context, depth);
+        this.appendEmptyPlaceholder(menu);
+
+        return menu;
+    }
+
+    appendItems(menu, items, context, depth) {
+        // Resolving is idempotent, so already-resolved root items pass through
+        // unchanged while submenus and provider output get resolved here
+        const resolved = this.resolveItems(items, context);
+
+        resolved.forEach(item => {
+            if (item.provider) {
+                this.appendProvidedItems(menu, item.provider, this.inheritSelection(context, item), depth);
+                return;
+            }
 
-        items.forEach(item => {
             if (item.divider) {
                 const divider = document.createElement('div');
                 divider.className = 'ztgi-menu-divider';
+                divider.setAttribute('role', 'separator');
                 menu.appendChild(divider);
-            } else {
-                const menuItem = document.createElement('div');
-                menuItem.className = 'ztgi-menu-item';
-                menuItem.innerHTML = `
-                    <span class="label">${item.label}</span>
-                    ${item.shortcut ? `<span class="shortcut">${item.shortcut}</span>` : ''}
-                `;
-                menuItem.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    this.executeAction(item.action, contextElement);
-                    this.hide();
-                });
-                menu.appendChild(menuItem);
+                return;
+            }
+
+            const hasChildren = Array.isArray(item.children) ? item.children.length > 0 : !!item.children;
+            const enabled = !item.disabled;
+            const checkable = this.isCheckable(item);
+            const menuItem = document.createElement('div');
+            menuItem.className = hasChildren ? 'ztgi-menu-item ztgi-has-submenu' : 'ztgi-menu-item';
+            menuItem.setAttribute('role', this.getItemRole(item));
+            menuItem.tabIndex = -1;
+            if (checkable) {
+                menuItem.classList.add(`ztgi-menu-item-${item.type}`);
+                menuItem.setAttribute('aria-checked', item.checked ? 'true' : 'false');
+            }
+            if (!enabled) {
+                menuItem.classList.add('ztgi-menu-item-disabled');
+                menuItem.setAttribute('aria-disabled', 'true');
+            }
+            if (item.shortcut) {
+                menuItem.dataset.shortcut = item.shortcut.toLowerCase();
+                menuItem.setAttribute('aria-keyshortcuts', item.shortcut);
+            }
+            if (hasChildren) {
+                menuItem.setAttribute('aria-haspopup', 'menu');
+                menuItem.setAttribute('aria-expanded', 'false');
+            }
+            if (item.description) {
+                menuItem.title = item.description;
             }
+            const hasBadge = item.badge !== null && item.badge !== undefined;
+            menuItem.innerHTML = `
+                ${checkable ? this.renderCheckIndicator(item) : ''}
+                ${renderIcon(item.icon, this.options.baseUrl)}
+                <span class="ztgi-menu-text">
+                    <span class="label"></span>
+                    ${item.description ? '<span class="description"></span>' : ''}
+                </span>
+                ${hasBadge ? '<span class="ztgi-badge"></span>' : ''}
+                ${item.shortcut ? '<span class="shortcut"></span>' : ''}
+                ${hasChildren ? '<span class="ztgi-submenu-arrow">▸</span>' : ''}
+            `;
+            // Labels may come from element data or providers, so never as markup
+            menuItem.querySelector('.label').textContent = item.label;
+            if (item.description) menuItem.querySelector('.description').textContent = item.description;
+            if (hasBadge) menuItem.querySelector('.ztgi-badge').textContent = item.badge;
+            if (item.shortcut) menuItem.querySelector('.shortcut').textContent = item.shortcut;
+
+            menuItem.addEventListener('mouseenter', () => {
+                this.focusItem(menuItem);
+                clearTimeout(this.submenuTimer);
+                this.submenuTimer = setTimeout(() => {
+                    if (hasChildren && enabled) {
+                        this.openSubmenu(menuItem, item.children, this.inheritSelection(context, item), depth + 1);
+                    } else {
+                        this.closeSubmenus(depth + 1);
+                    }
+                }, this.submenuDelay);
+            });
+
+            menuItem.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (!enabled) return;
+                if (hasChildren) {
+                    clearTimeout(this.submenuTimer);
+                    this.openSubmenu(menuItem, item.children, this.inheritSelection(context, item), depth + 1);
+                    return;
+                }
+                const itemData = checkable ? { ...item.data, ...this.getCheckedData(item) } : item.data;
+                this.executeAction(item.action, context.target, itemData, context.selection);
+                this.hide();
+            });
+
+            menu.appendChild(menuItem);
         });
+    }
 
-        document.body.appendChild(menu);
-        this.activeMenu = menu;
+    // Child and provided items default to their parent's selection support
+    inheritSelection(context, item) {
+        if (!item.selection) return context;
+        return { ...context, defaultSelection: item.selection };
+    }
 
-        // Adjust position if off-screen
+    getItemRole(item) {
+        if (item.type === 'radio') return 'menuitemradio';
+        if (item.type === 'checkbox' || item.type === 'toggle') return 'menuitemcheckbox';
+        return 'menuitem';
+    }
+
+    renderCheckIndicator(item) {
+        if (item.type === 'toggle') {
+            return `<span class="ztgi-menu-switch${item.checked ? ' on' : ''}" aria-hidden="true"></span>`;
+        }
+        const mark = item.type === 'radio' ? '●' : '✓';
+        return `<span class="ztgi-menu-check" aria-hidden="true">${item.checked ? mark : ''}</span>`;
+    }
+
+    // Render a provider's items in place, with a loading placeholder while async
+    appendProvidedItems(menu, provider, context, depth) {
+        let result;
+        try {
+            result = this.runProvider(provider, context.target, context.data, context);
+        } catch (err) {
+            console.error('[ZTGI-UI] Menu provider failed:', err);
+            menu.appendChild(this.createPlaceholderItem('Failed to load', 'ztgi-menu-error'));
+            return;
+        }
+
+        if (!result || typeof result.then !== 'function') {
+            this.appendItems(menu, result || [], context, depth);
+            return;
+        }
+
+        const placeholder = this.createPlaceholderItem('Loading…', 'ztgi-menu-loading');
+        menu.appendChild(placeholder);
+        menu.setAttribute('aria-busy', 'true');
+
+        const settle = (render) => {
+            // The menu may have been closed while the provider was running
+            if (!placeholder.isConnected) return;
+            const hadFocus = document.activeElement === placeholder;
+            const fragment = document.createElement('div');
+            render(fragment);
+            placeholder.replaceWith(...fragment.childNodes);
+            menu.removeAttribute('aria-busy');
+            this.appendEmptyPlaceholder(menu);
+            if (hadFocus) this.focusItem(this.getMenuItems(menu)[0]);
+        };
+
+        result.then(
+            items => settle(fragment => this.appendItems(fragment, items || [], context, depth)),
+            err => {
+                console.error('[ZTGI-UI] Menu provider failed:', err);
+                settle(fragment => fragment.appendChild(this.createPlaceholderItem('Failed to load', 'ztgi-menu-error')));
+            }
+        );
+    }
+
+    // Disabled, non-actionable row used for loading/empty/error states
+    createPlaceholderItem(text, className) {
+        const placeholder = document.createElement('div');
+        placeholder.className = `ztgi-menu-item ztgi-menu-item-disabled ztgi-menu-placeholder ${className}`;
+        placeholder.setAttribute('role', 'menuitem');
+        placeholder.setAttribute('aria-disabled', 'true');
+        placeholder.tabIndex = -1;
+        const label = document.createElement('span');
+        label.className = 'label';
+        label.textContent = text;
+        placeholder.appendChild(label);
+        return placeholder;
+    }
+
+    appendEmptyPlaceholder(menu) {
+        if (!menu.hasAttribute('aria-busy') && this.getMenuItems(menu).length === 0) {
+            menu.appendChild(this.createPlaceholderItem('No items', 'ztgi-menu-empty'));
+        }
+    }
+
+    // Open a flyout submenu next to its parent item
+    openSubmenu(parentItem, items, context, depth) {
+        const existing = this.submenus[depth - 1];
+        if (existing && existing.parentItem === parentItem) return existing.menu;
+
+        this.closeSubmenus(depth);
+
+        const submenu = this.buildMenu(items, context, depth);
+
+        // Sheets drill down in place instead of flying out
+        if (this.activeMenu.classList.contains('ztgi-menu-sheet')) {
+            submenu.classList.add('ztgi-menu-sheet');
+            submenu.insertBefore(this.createBackItem(depth), submenu.firstChild);
+            document.body.appendChild(submenu);
+            parentItem.classList.add('ztgi-submenu-open');
+            parentItem.setAttribute('aria-expanded', 'true');
+            this.submenus.push({ menu: submenu, parentItem });
+            return submenu;
+        }
+
+        const parentRect = parentItem.getBoundingClientRect();
+        submenu.style.left = `${parentRect.right}px`;
+        submenu.style.top = `${parentRect.top}px`;
+
+        document.body.appendChild(submenu);
+        parentItem.classList.add('ztgi-submenu-open');
+        parentItem.setAttribute('aria-expanded', 'true');
+        this.submenus.push({ menu: submenu, parentItem });
+
+        // Flip to the other side of the parent if off-screen
         requestAnimationFrame(() => {
-            const rect = menu.getBoundingClientRect();
+            const rect = submenu.getBoundingClientRect();
             if (rect.right > window.innerWidth) {
-                menu.style.left = `${Math.max(0, x - rect.width)}px`;
+                submenu.style.left = `${Math.max(0, parentRect.left - rect.width)}px`;
             }
             if (rect.bottom > window.innerHeight) {
-                menu.style.top = `${Math.max(0, y - rect.height)}px`;
+                submenu.style.top = `${Math.max(0, parentRect.bottom - rect.height)}px`;
             }
         });
+
+        return submenu;
+    }
+
+    createBackItem(depth) {
+        const back = document.createElement('div');
+        back.className = 'ztgi-menu-item ztgi-menu-back';
+        back.setAttribute('role', 'menuitem');
+        back.tabIndex = -1;
+        back.innerHTML = '<span class="label">‹ Back</span>';
+        back.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const { parentItem } = this.submenus[depth - 1];
+            this.closeSubmenus(depth);
+            this.focusItem(parentItem);
+        });
+        return back;
+    }
+
+    // Close submenus at the given depth and deeper
+    closeSubmenus(depth = 1) {
+        while (this.submenus.length >= depth) {
+            const { menu, parentItem } = this.submenus.pop();
+            parentItem.classList.remove('ztgi-submenu-open');
+            parentItem.setAttribute('aria-expanded', 'false');
+            menu.remove();
+        }
+    }
+
+    containsTarget(target) {
+        if (this.activeMenu && this.activeMenu.contains(target)) return true;
+        return this.submenus.some(({ menu }) => menu.contains(target));
+    }
+
+    hide({ restoreFocus = true } = {}) {
+        clearTimeout(this.submenuTimer);
+        if (!this.activeMenu) return;
+
+        // Only pull focus back if it is still inside the menu (or was dropped)
+        const focusInMenu = this.containsTarget(document.activeElement) ||
+            document.activeElement === document.body;
+
+        this.closeSubmenus();
+        this.activeMenu.remove();
+        this.activeMenu = null;
+        this.search = null;
+        if (this.backdrop) this.backdrop.remove();
+
+        if (restoreFocus && focusInMenu && this.returnFocus && this.returnFocus.isConnected) {
+            this.returnFocus.focus({ preventScroll: true });
+        }
+        this.returnFocus = null;
+    }
+
+    // Open the menu for the focused [data-context] element (ContextMenu key / Shift+F10)
+    openFromKeyboard(e) {
+        const target = document.activeElement;
+        if (!target || target === document.body) return;
+
+        const menuType = this.detectMenuType(target);
+        if (!menuType || !this.menus[menuType]) return;
+
+        e.preventDefault();
+        const rect = this.findContextElement(target).getBoundingClientRect();
+        this.openedWithoutEventAt = Date.now();
+        this.show(rect.left, rect.bottom, menuType, target);
+    }
+
+    handleMenuKeydown(e) {
+        const menu = this.getCurrentMenu();
+        const items = this.getMenuItems(menu);
+        const current = items.indexOf(document.activeElement);
+        const depth = Number(menu.dataset.depth);
+
+        if (this.search && this.search.menu === menu && this.handleSearchKey(e.key)) {
+            e.preventDefault();
+            e.stopPropagation();
+            return;
+        }
+
+        switch (e.key) {
+            case 'ArrowDown':
+                this.focusItem(items[(current + 1) % items.length]);
+                break;
+            case 'ArrowUp':
+                this.focusItem(items[current <= 0 ? items.length - 1 : current - 1]);
+                break;
+            case 'Home':
+                this.focusItem(items[0]);
+                break;
+            case 'End':
+                this.focusItem(items[items.length - 1]);
+                break;
+            case 'ArrowRight':
+                if (items[current] && items[current].classList.contains('ztgi-has-submenu')) {
+                    this.activateItem(items[current]);
+                }
+                break;
+            case 'ArrowLeft':
+                if (depth > 0) {
+                    const { parentItem } = this.submenus[depth - 1];
+                    this.closeSubmenus(depth);
+                    this.focusItem(parentItem);
+                }
+                break;
+            case 'Enter':
+            case ' ':
+                if (items[current]) this.activateItem(items[current]);
+                break;
+            case 'Escape':
+                if (depth > 0) {
+                    const { parentItem } = this.submenus[depth - 1];
+                    this.closeSubmenus(depth);
+                    this.focusItem(parentItem);
+                } else {
+                    this.hide();
+                }
+                break;
+            case 'Tab':
+                this.hide();
+                break;
+            default:
+                if (e.key.length !== 1 || e.ctrlKey || e.metaKey || e.altKey) return;
+                this.handleCharacterKey(e.key.toLowerCase(), items, current, menu);
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    // Shortcut letters trigger their item; anything else searches (long
+    // menus) or is type-ahead
+    handleCharacterKey(char, items, current, menu) {
+        if (this.search && this.search.menu === menu) {
+            this.search.query += char;
+            this.filterMenu();
+            return;
+        }
+
+        const shortcutItem = items.find(el => el.dataset.shortcut === char);
+        if (shortcutItem && !this.typeAhead) {
+            this.activateItem(shortcutItem);
+            return;
+        }
+
+        if (items.length >= this.options.searchThreshold) {
+            this.startSearch(menu, char);
+            return;
+        }
+
+        clearTimeout(this.typeAheadTimer);
+        this.typeAhead += char;
+        this.typeAheadTimer = setTimeout(() => { this.typeAhead = ''; }, 500);
+
+        // Search from the item after the current one, wrapping around
+        const ordered = [...items.slice(current + 1), ...items.slice(0, current + 1)];
+        const match = ordered.find(el => this.getItemText(el).startsWith(this.typeAhead));
+        if (match) this.focusItem(match);
+    }
+
+    // ==================== Search ====================
+
+    startSearch(menu, query) {
+        if (this.search) this.clearSearch({ refocus: false });
+
+        const field = document.createElement('div');
+        field.className = 'ztgi-menu-search';
+        field.setAttribute('aria-live', 'polite');
+        field.innerHTML = '<span class="ztgi-menu-search-query"></span>';
+
+        const back = menu.querySelector(':scope > .ztgi-menu-back');
+        menu.insertBefore(field, back ? back.nextSibling : menu.firstChild);
+
+        // Remember the original rows so the menu can be restored as it was
+        const rows = Array.from(menu.children).filter(el => el !== field && el !== back);
+        const labels = new Map(rows.map(el => {
+            const label = el.querySelector('.label');
+            return [el, label ? label.innerHTML : null];
+        }));
+
+        this.search = { menu, query, field, rows, labels, noMatches: null };
+        this.filterMenu();
+    }
+
+    // Returns true when the key was consumed by the active search
+    handleSearchKey(key) {
+        switch (key) {
+            case 'Backspace':
+                this.search.query = this.search.query.slice(0, -1);
+                if (this.search.query) {
+                    this.filterMenu();
+                } else {
+                    this.clearSearch();
+                }
+                return true;
+            case 'Escape':
+                this.clearSearch();
+                return true;
+            case ' ':
+                this.search.query += ' ';
+                this.filterMenu();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    // Show matching items best first, enabled before disabled
+    filterMenu() {
+        const { menu, query, field, rows, labels } = this.search;
+        field.querySelector('.ztgi-menu-search-query').textContent = query;
+
+        const candidates = rows.filter(el =>
+            el.matches('[role^="menuitem"]') && labels.get(el) !== null &&
+            !el.classList.contains('ztgi-menu-placeholder'));
+        const isDisabled = el => el.classList.contains('ztgi-menu-item-disabled');
+        const results = fuzzyFilter(candidates, query, el => this.getLabelText(el))
+            .sort((a, b) => isDisabled(a.item) - isDisabled(b.item));
+
+        rows.forEach(el => {
+            el.hidden = true;
+            const html = labels.get(el);
+            if (html !== null) el.querySelector('.label').innerHTML = html;
+        });
+
+        results.forEach(({ item, indices }) => {
+            item.hidden = false;
+            item.querySelector('.label').innerHTML = highlightMatches(this.getLabelText(item), indices);
+            menu.appendChild(item);
+        });
+
+        if (this.search.noMatches) this.search.noMatches.remove();
+        this.search.noMatches = null;
+        if (results.length === 0) {
+            this.search.noMatches = this.createPlaceholderItem('No matches', 'ztgi-menu-empty');
+            menu.appendChild(this.search.noMatches);
+        }
+
+        const top = results.find(({ item }) => !isDisabled(item));
+        this.focusItem(top ? top.item : this.search.noMatches || results[0].item);
     }
 
-    hide() {
-        if (this.activeMenu) {
-            this.activeMenu.remove();
-            this.activeMenu = null;
+    clearSearch({ refocus = true } = {}) {
+        const { menu, field, rows, labels, noMatches } = this.search;
+        this.search = null;
+
+        field.remove();
+        if (noMatches) noMatches.remove();
+        rows.forEach(el => {
+            el.hidden = false;
+            const html = labels.get(el);
+            if (html !== null) el.querySelector('.label').innerHTML = html;
+            menu.appendChild(el);
+        });
+
+        if (refocus && menu.isConnected) this.focusItem(this.getMenuItems(menu)[0]);
+    }
+
+    getLabelText(menuItem) {
+        const label = menuItem.querySelector('.label');
+        return label ? label.textContent.trim() : '';
+    }
+
+    activateItem(menuItem) {
+        menuItem.click();
+        if (menuItem.classList.contains('ztgi-has-submenu')) {
+            const open = this.submenus.find(s => s.parentItem === menuItem);
+            if (open) this.focusItem(this.getMenuItems(open.menu)[0]);
         }
     }
 
-    executeAction(action, target) {
-        // Extract data from target
-        const data = target.dataset ? { ...target.dataset } : {};
+    focusItem(menuItem) {
+        if (menuItem) menuItem.focus({ preventScroll: true });
+    }
+
+    // The deepest menu containing focus, falling back to the deepest open menu
+    getCurrentMenu() {
+        const menus = [this.activeMenu, ...this.submenus.map(s => s.menu)];
+        const focused = menus.find(m => m.contains(document.activeElement));
+        return focused || menus[menus.length - 1];
+    }
+
+    getMenuItems(menu) {
+        return Array.from(menu.querySelectorAll(':scope > [role^="menuitem"]:not([hidden])'));
+    }
+
+    getItemText(menuItem) {
+        const label = menuItem.querySelector('.label');
+        return (label ? label.textContent : '').replace(/^[^\p{L}\p{N}]+/u, '').toLowerCase();
+    }
+
+    executeAction(action, target, itemData = null, selection = null) {
+        // Bulk actions get one data object per selected element
+        if (selection && selection.length > 1) {
+            target = selection;
+        }
+
+        // Extract data from target, plus any static data declared on the item
+        let data;
+        if (Array.isArray(target)) {
+            data = target.map(el => ({ ...el.dataset, ...itemData }));
+        } else {
+            data = target.dataset ? { ...target.dataset, ...itemData } : { ...itemData };
+        }
 
         // Check local handlers first
         if (this.handlers[action]) {
@@ -151,9 +1098,9 @@ class ContextMenu {
             return;
         }
 
-        // Fall back to action router
+        // Fall back to action router (which reports failures itself)
         if (this.actionRouter) {
-            this.actionRouter.execute(action, data);
+            this.actionRouter.execute(action, data).catch(() => {});
             return;
         }
 
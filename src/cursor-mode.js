@@ -11,6 +11,11 @@
  *
  *   ZtgiUI.cursor.setMode('agent');
  *   ZtgiUI.cursor.setMode('default');
+ *
+ * Input is handled with pointer events, so onClick fires for mouse clicks,
+ * touch taps and pen taps alike (the event's pointerType says which). If
+ * onClick calls preventDefault() the click that follows is cancelled too,
+ * so handlers can still stop link navigation.
  */
 
 class CursorModeManager {
@@ -21,6 +26,10 @@ class CursorModeManager {
         this.currentMode = 'default';
         this.hintElement = null;
         this.baseUrl = '';
+        this.pointerStart = null;
+        this.tapTolerance = 10;
+        this.tapMaxDuration = 500;
+        this.suppressClick = false;
     }
 
     init(baseUrl = '') {
@@ -32,22 +41,45 @@ class CursorModeManager {
         this.hintElement.style.display = 'none';
         document.body.appendChild(this.hintElement);
 
-        // Track mouse for hint
-        document.addEventListener('mousemove', (e) => {
-            if (this.hintElement.style.display !== 'none') {
-                this.hintElement.style.left = `${e.clientX + 20}px`;
-                this.hintElement.style.top = `${e.clientY + 20}px`;
-            }
+        // Track pointer for hint (touch has no hover, so also follow presses)
+        document.addEventListener('pointermove', (e) => this.moveHint(e));
+
+        // Handle taps/clicks in cursor mode
+        document.addEventListener('pointerdown', (e) => {
+            if (!e.isPrimary || (e.pointerType === 'mouse' && e.button !== 0)) return;
+            this.suppressClick = false;
+            this.pointerStart = { id: e.pointerId, x: e.clientX, y: e.clientY, time: Date.now() };
+            this.moveHint(e);
         });
 
-        // Handle clicks in cursor mode
-        document.addEventListener('click', (e) => {
+        document.addEventListener('pointerup', (e) => {
+            const start = this.pointerStart;
+            this.pointerStart = null;
+            if (!start || start.id !== e.pointerId) return;
+
+            // Ignore drags and long-presses (those open context menus)
+            const distance = Math.hypot(e.clientX - start.x, e.clientY - start.y);
+            if (distance > this.tapTolerance || Date.now() - start.time > this.tapMaxDuration) return;
+
             const mode = this.modes[this.currentMode];
             if (mode && mode.onClick && this.currentMode !== 'default') {
                 mode.onClick(e.target, e);
+                // preventDefault() on pointerup doesn't cancel the click
+                if (e.defaultPrevented) this.suppressClick = true;
             }
         });
 
+        document.addEventListener('click', (e) => {
+            if (!this.suppressClick) return;
+            this.suppressClick = false;
+            e.preventDefault();
+            e.stopPropagation();
+        }, true);
+
+        document.addEventListener('pointercancel', () => {
+            this.pointerStart = null;
+        });
+
         // Right-click cancels mode
         document.addEventListener('contextmenu', () => {
             if (this.currentMode !== 'default') {
@@ -61,6 +93,13 @@ class CursorModeManager {
         });
     }
 
+    moveHint(e) {
+        if (this.hintElement.style.display !== 'none') {
+            this.hintElement.style.left = `${e.clientX + 20}px`;
+            this.hintElement.style.top = `${e.clientY + 20}px`;
+        }
+    }
+
     registerMode(name, config) {
         this.modes[name] = config;
     }
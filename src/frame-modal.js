@@ -0,0 +1,131 @@
+/**
+ * Frame Modal
+ *
+ * Shows a page in an iframe over the current one, for URL actions with
+ * `target: 'modal'` (previews, detail views) so the app keeps its state.
+ *
+ * Usage:
+ *   const modal = new FrameModal();
+ *   modal.show({ url: '/entry/abc123', title: 'View Details' });
+ */
+
+class FrameModal {
+    constructor() {
+        this.overlay = null;
+        this.returnFocus = null;
+    }
+
+    show({ url, title = '' } = {}) {
+        this.addStyles();
+        this.close();
+
+        this.returnFocus = document.activeElement;
+        const overlay = document.createElement('div');
+        overlay.className = 'ztgi-frame-overlay';
+        overlay.innerHTML = `
+            <div class="ztgi-frame-modal" role="dialog" aria-modal="true" aria-labelledby="ztgi-frame-title">
+                <div class="ztgi-frame-header">
+                    <span class="ztgi-frame-title" id="ztgi-frame-title"></span>
+                    <a class="ztgi-frame-btn ztgi-frame-newtab" target="_blank" rel="noopener" title="Open in new tab">↗</a>
+                    <button class="ztgi-frame-btn ztgi-frame-close" title="Close (Esc)">×</button>
+                </div>
+                <iframe class="ztgi-frame-content"></iframe>
+            </div>
+        `;
+        overlay.querySelector('.ztgi-frame-title').textContent = title || url;
+        overlay.querySelector('.ztgi-frame-newtab').href = url;
+        overlay.querySelector('iframe').src = url;
+        overlay.querySelector('iframe').title = title || url;
+
+        overlay.querySelector('.ztgi-frame-close').onclick = () => this.close();
+        overlay.onclick = (e) => {
+            if (e.target === overlay) this.close();
+        };
+        overlay.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.close();
+        });
+
+        document.body.appendChild(overlay);
+        this.overlay = overlay;
+        overlay.querySelector('.ztgi-frame-close').focus();
+    }
+
+    close() {
+        if (!this.overlay) return;
+        this.overlay.remove();
+        this.overlay = null;
+        if (this.returnFocus && this.returnFocus.isConnected) this.returnFocus.focus({ preventScroll: true });
+        this.returnFocus = null;
+    }
+
+    /**
+     * Add modal styles
+     */
+    addStyles() {
+        if (document.getElementById('ztgi-frame-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'ztgi-frame-styles';
+        style.textContent = `
+            .ztgi-frame-overlay {
+                position: fixed;
+                inset: 0;
+                background: rgba(0,0,0,0.6);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 20000;
+            }
+            .ztgi-frame-modal {
+                display: flex;
+                flex-direction: column;
+                width: 80vw;
+                height: 80vh;
+                background: #1e1e1e;
+                border: 1px solid #3a3a3a;
+                border-radius: 12px;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.4);
+                overflow: hidden;
+            }
+            .ztgi-frame-header {
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 10px 12px 10px 16px;
+                border-bottom: 1px solid #333;
+                color: #e0e0e0;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 14px;
+            }
+            .ztgi-frame-title {
+                flex: 1;
+                font-weight: 600;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            .ztgi-frame-btn {
+                padding: 2px 8px;
+                background: none;
+                border: none;
+                color: #888;
+                font-size: 18px;
+                text-decoration: none;
+                cursor: pointer;
+            }
+            .ztgi-frame-btn:hover {
+                color: #fff;
+            }
+            .ztgi-frame-content {
+                flex: 1;
+                width: 100%;
+                border: none;
+                background: #fff;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+export { FrameModal };
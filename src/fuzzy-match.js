@@ -0,0 +1,76 @@
+/**
+ * ZTGI-UI Fuzzy Matching
+ * Shared by searchable context menus and the command palette
+ *
+ * Usage:
+ *   fuzzyMatch('cph', 'Copy Hash');      // { score, indices: [0, 2, 5] }
+ *   fuzzyFilter(items, 'cph', i => i.label);
+ *   highlightMatches('Copy Hash', [0, 2, 5]);  // '<mark>C</mark>o<mark>p</mark>y <mark>H</mark>ash'
+ */
+
+// Match query characters in order; returns null when they don't all appear
+function fuzzyMatch(query, text) {
+    if (!query) return { score: 0, indices: [] };
+    if (!text) return null;
+
+    const q = query.toLowerCase();
+    const t = text.toLowerCase();
+    const indices = [];
+    let score = 0;
+    let lastIndex = -1;
+
+    for (const char of q) {
+        if (char === ' ') continue;
+        const index = t.indexOf(char, lastIndex + 1);
+        if (index === -1) return null;
+
+        // Reward consecutive runs and matches at the start of words
+        if (index === lastIndex + 1) score += 5;
+        if (index === 0 || /[\s\-_.:/]/.test(t[index - 1])) score += 8;
+        score -= Math.min(index - lastIndex - 1, 5);
+
+        indices.push(index);
+        lastIndex = index;
+    }
+
+    // Prefer exact prefixes and shorter texts
+    if (t.startsWith(q)) score += 10;
+    score -= t.length * 0.1;
+
+    return { score, indices };
+}
+
+// Filter and rank items, best match first (stable for equal scores)
+function fuzzyFilter(items, query, getText = (item) => item) {
+    return items
+        .map((item, order) => ({ item, order, match: fuzzyMatch(query, getText(item)) }))
+        .filter(result => result.match)
+        .sort((a, b) => (b.match.score - a.match.score) || (a.order - b.order))
+        .map(({ item, match }) => ({ item, score: match.score, indices: match.indices }));
+}
+
+// Wrap runs of matched characters in <mark>, escaping the rest
+function highlightMatches(text, indices = []) {
+    const marked = new Set(indices);
+    const escape = (str) => str
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+
+    let html = '';
+    let run = '';
+    text.split('').forEach((char, i) => {
+        if (marked.has(i)) {
+            run += char;
+            return;
+        }
+        if (run) html += `<mark>${escape(run)}</mark>`;
+        run = '';
+        html += escape(char);
+    });
+    if (run) html += `<mark>${escape(run)}</mark>`;
+
+    return html;
+}
+
+export { fuzzyMatch, fuzzyFilter, highlightMatches };
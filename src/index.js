@@ -10,8 +10,14 @@
  *     ZtgiUI.contextMenu.register(...);
  *     ZtgiUI.cursor.registerMode(...);
  *
- *     // Open settings with ? key or:
+ *     // Open settings with Ctrl+, (Cmd+, on Mac) or:
  *     ZtgiUI.settings.open();
+ *
+ *     // Shortcut cheat sheet with ? or:
+ *     ZtgiUI.help.open();
+ *
+ *     // Command palette with Ctrl+K (Cmd+K on Mac) or:
+ *     ZtgiUI.palette.open();
  *   </script>
  */
 
@@ -26,7 +32,17 @@ import { AnalyticsTracker } from './analytics-tracker.js';
 import { AiAssistant } from './ai-assistant.js';
 import { MenuCustomizer } from './menu-customizer.js';
 import { QAStoneParser } from './qastone-parser.js';
+import { SelectionManager } from './selection.js';
+import { ConditionParser } from './condition-parser.js';
+import { CommandPalette } from './command-palette.js';
+import { ShortcutHelp } from './shortcut-help.js';
+import { ConfirmDialog } from './confirm-dialog.js';
+import { FrameModal } from './frame-modal.js';
+import { ProgressIndicator } from './progress-indicator.js';
+import { ActionQueue } from './action-queue.js';
+import { MacroRecorder } from './macro-recorder.js';
 import * as utils from './utils.js';
+import * as fuzzy from './fuzzy-match.js';
 
 class ZtgiUIClass {
     constructor() {
@@ -34,7 +50,9 @@ class ZtgiUIClass {
         this.cursor = new CursorModeManager();
         this.keyboard = new KeyboardManager();
         this.actions = new ActionRouter();
+        this.selection = new SelectionManager();
         this.utils = utils;
+        this.fuzzy = fuzzy;
         this.settings = null;
         this.vis = null;
         this.emailClient = null;
@@ -42,6 +60,11 @@ class ZtgiUIClass {
         this.assistant = null;
         this.menuCustomizer = null;
         this.qaStoneParser = null;
+        this.palette = null;
+        this.help = null;
+        this.progress = null;
+        this.queue = null;
+        this.macros = null;
         this.initialized = false;
         this.baseUrl = 'http://localhost:7892';
         this.emailForAiUrl = 'http://localhost:8000';
@@ -61,12 +84,25 @@ class ZtgiUIClass {
 
         // Initialize components
         this.keyboard.init();
+        this.keyboard.actionLabel = (action) => this.actions.getMeta(action).label || action;
+        this.defineShortcutScopes();
         this.cursor.init(this.baseUrl);
-        this.contextMenu.init(this.actions);
+        this.selection.init(this.cursor);
+        this.contextMenu.init(this.actions, this.selection);
+        this.contextMenu.configure({ baseUrl: this.baseUrl });
 
         // Initialize settings panel
         this.settings = new SettingsPanel(this);
         this.settings.init();
+        this.actions.setConfirmPreferences(this.settings);
+
+        // Show running actions (Esc or Cancel aborts them)
+        this.progress = new ProgressIndicator(this);
+        this.progress.init();
+
+        // Hold queueable API actions while their backend is down
+        this.queue = new ActionQueue(this);
+        this.actions.setQueue(this.queue);
 
         // Initialize vis.js integration
         this.vis = new VisIntegration(this);
@@ -84,10 +120,17 @@ class ZtgiUIClass {
 
         // Hook analytics into action router middleware
         this.actions.use(async (action, data) => {
-            this.analytics.trackMenuClick(data.context || 'unknown', action, data);
+            // Bulk actions pass one data object per selected element
+            const first = Array.isArray(data) ? data[0] || {} : data;
+            this.analytics.trackMenuClick(first.context || 'unknown', action, first);
             return true;
         });
 
+        // Record how long actions take and whether they fail
+        this.actions.after((action, data, { status, duration, error }) => {
+            this.analytics.trackActionResult(action, status, duration, error);
+        });
+
         // Listen for cursor mode changes from action router
         document.addEventListener('ztgi:setcursor', (e) => {
             this.cursor.setMode(e.detail.mode);
@@ -97,8 +140,16 @@ class ZtgiUIClass {
         this.config = await this.loadConfig(appName);
         this.applyConfig(this.config);
 
+        // Restore queued actions once endpoints are configured
+        await this.queue.init();
+
         // Register settings shortcut
-        this.keyboard.register('?', () => this.settings.open());
+        this.keyboard.register('mod+,', () => this.settings.open(), { description: 'Open settings panel' });
+
+        // Undo/redo through the action history
+        this.keyboard.register('mod+z', () => this.undo(), { description: 'Undo last action' });
+        this.keyboard.register('mod+shift+z', () => this.redo(), { description: 'Redo' });
+        document.addEventListener('ztgi:history', (e) => this.showHistoryToast(e.detail));
 
         // Initialize AI Assistant
         this.assistant = new AiAssistant(this);
@@ -108,6 +159,18 @@ class ZtgiUIClass {
         this.menuCustomizer = new MenuCustomizer(this);
         this.menuCustomizer.init();
 
+        // Initialize Command Palette (Ctrl+K)
+        this.palette = new CommandPalette(this);
+        this.palette.init();
+
+        // Initialize shortcut cheat sheet (?)
+        this.help = new ShortcutHelp(this);
+        this.help.init();
+
+        // Initialize Macro Recorder (Ctrl+Alt+M)
+        this.macros = new MacroRecorder(this);
+        this.macros.init();
+
         // Initialize QA.Stone Parser
         this.qaStoneParser = new QAStoneParser();
 
@@ -124,7 +187,10 @@ class ZtgiUIClass {
 
         this.initialized = true;
         console.log(`[ZTGI-UI] Initialized for ${appName}`);
-        console.log(`[ZTGI-UI] Press ? to open settings panel`);
+        console.log(`[ZTGI-UI] Press ${this.keyboard.isMac ? 'Cmd' : 'Ctrl'}+, to open settings panel`);
+        console.log(`[ZTGI-UI] Press ${this.keyboard.isMac ? 'Cmd' : 'Ctrl'}+K to open the command palette`);
+        console.log(`[ZTGI-UI] Press ? for keyboard shortcuts`);
+        console.log(`[ZTGI-UI] Press Ctrl+Alt+M to record a macro`);
         console.log(`[ZTGI-UI] Email-for-AI: ${this.emailClient.offlineMode ? 'offline' : 'online'}`);
 
         // Dispatch ready event
@@ -148,28 +214,77 @@ class ZtgiUIClass {
             }
         }
 
-        // Register keyboard shortcuts
+        // Match shortcuts by key position for non-US layouts
+        if (config.physicalKeys) {
+            this.keyboard.setPhysicalKeys(true);
+        }
+
+        // How long to wait for the next key of a sequence ('g i')
+        if (config.sequenceTimeout) {
+            this.keyboard.setSequenceTimeout(config.sequenceTimeout);
+        }
+
+        // Containers that get their own shortcut scope: { name: { selector, priority, exclusive } }
+        if (config.shortcutScopes) {
+            for (const [scope, options] of Object.entries(config.shortcutScopes)) {
+                this.keyboard.defineScope(scope, options);
+            }
+        }
+
+        // Register keyboard shortcuts; a nested object holds one scope's bindings
         if (config.shortcuts) {
-            for (const [combo, action] of Object.entries(config.shortcuts)) {
-                this.keyboard.register(combo, () => this.actions.execute(action));
+            for (const [key, value] of Object.entries(config.shortcuts)) {
+                const [scope, bindings] = typeof value === 'object' ? [key, value] : ['global', { [key]: value }];
+                for (const [combo, action] of Object.entries(bindings)) {
+                    this.keyboard.register(combo, () => this.actions.execute(action).catch(() => {}), { action, scope, app: this.appName });
+                }
             }
         }
 
-        // Register action handlers (URL patterns)
+        // Default target for URL actions ('self', 'blank', 'push', 'modal')
+        if (config.urlTarget) {
+            this.actions.setUrlTarget(config.urlTarget);
+        }
+
+        // Register action handlers (URL patterns) and metadata. An action may be
+        // a URL string, { url, query, target, label, params, confirm, risk,
+        // timeout, retries, idempotent, queueable, idempotencyKey } or a
+        // composite { label, steps }
         if (config.actions) {
             for (const [action, handler] of Object.entries(config.actions)) {
-                if (typeof handler === 'string') {
-                    // URL-based action
+                const spec = typeof handler === 'string' ? { url: handler } : handler;
+                if (spec.steps) {
+                    // Composite action: { label, steps, onError }
+                    this.actions.registerComposite(action, spec);
+                    continue;
+                }
+                const { url, ...meta } = spec;
+                if (url) {
+                    // URL-based action (its {placeholders} become required params)
                     this.actions.register(action, async (data) => {
-                        const url = handler.replace(/\{(\w+)\}/g, (match, key) => {
-                            return data[key] !== undefined ? encodeURIComponent(data[key]) : match;
-                        });
-                        window.location.href = url;
-                    });
+                        this.actions.openUrlAction(action, url, data);
+                    }, { url });
+                }
+                if (Object.keys(meta).length > 0) {
+                    this.actions.setMeta(action, meta);
                 }
             }
         }
 
+        // Register undo companions (action -> inverse action)
+        if (config.undo) {
+            for (const [action, inverse] of Object.entries(config.undo)) {
+                this.actions.setUndo(action, inverse);
+            }
+        }
+
+        // Timeout/retry policies per API endpoint
+        if (config.apiPolicies) {
+            for (const [app, policy] of Object.entries(config.apiPolicies)) {
+                this.actions.setEndpointPolicy(app, policy);
+            }
+        }
+
         // Set API endpoints if provided
         if (config.apiEndpoints) {
             for (const [app, url] of Object.entries(config.apiEndpoints)) {
@@ -201,18 +316,84 @@ class ZtgiUIClass {
         return Object.keys(this.contextMenu.menus);
     }
 
-    // Get menu items for a type (filtered by user settings)
-    getMenuItems(type) {
-        if (this.settings) {
-            return this.settings.getFilteredMenuItems(type);
+    // Get resolved menu items for a type (user settings, customizations and,
+    // when a target element or data object is given, conditions applied)
+    getMenuItems(type, target = null) {
+        return this.contextMenu.resolveMenu(type, target);
+    }
+
+    // Built-in shortcut scopes, most specific first. Menus, settings and the
+    // assistant are exclusive so their plain keys don't reach global bindings.
+    defineShortcutScopes() {
+        this.keyboard.defineScope('menu-open', {
+            label: 'Context menu open',
+            priority: 400,
+            exclusive: true,
+            when: () => Boolean(this.contextMenu.activeMenu)
+        });
+        this.keyboard.defineScope('settings', {
+            label: 'Settings panel',
+            priority: 300,
+            exclusive: true,
+            when: () => Boolean(this.settings && this.settings.isOpen)
+        });
+        this.keyboard.defineScope('assistant', {
+            label: 'Assistant (when focused)',
+            priority: 200,
+            exclusive: true,
+            when: (target) => Boolean(this.assistant && this.assistant.isOpen && this.assistant.container.contains(target))
+        });
+        this.keyboard.defineScope('cursor-mode', {
+            label: 'While a cursor mode is active',
+            priority: 50,
+            when: () => this.cursor.getMode() !== 'default'
+        });
+    }
+
+    // Describe every known action: registered or configured ones, plus those
+    // only referenced by menus and shortcuts (see ActionRouter.describe)
+    getActions() {
+        const actions = new Set(this.actions.listActions().map(info => info.action));
+        this.contextMenu.getMenuActions().forEach(action => actions.add(action));
+        this.keyboard.getBindings().forEach(({ action }) => {
+            if (action) actions.add(action);
+        });
+        return Array.from(actions).sort().map(action => this.actions.describe(action));
+    }
+
+    // Ask in the styled confirmation dialog; resolves true when confirmed
+    async confirm(options) {
+        const { confirmed } = await this.actions.confirm(options);
+        return confirmed;
+    }
+
+    // Undo the most recent undoable action
+    undo() {
+        return this.actions.undo().catch(() => this.utils.showToast('Undo failed'));
+    }
+
+    redo() {
+        return this.actions.redo().catch(() => this.utils.showToast('Redo failed'));
+    }
+
+    // Offer Undo (or Redo) in a toast whenever the history changes
+    showHistoryToast({ type, entry }) {
+        if (type === 'record') {
+            this.utils.showToast(entry.label, 5000, {
+                action: { label: 'Undo', onClick: () => this.undo() }
+            });
+        } else if (type === 'undo') {
+            this.utils.showToast(`Undone: ${entry.label}`, 5000, {
+                action: { label: 'Redo', onClick: () => this.redo() }
+            });
+        } else if (type === 'redo') {
+            this.utils.showToast(`Redone: ${entry.label}`);
         }
-        return this.contextMenu.menus[type] || [];
     }
 
     // Show help/available actions overlay
     showHelp() {
-        this.settings.open();
-        this.settings.switchTab('shortcuts');
+        this.help.open();
     }
 
     // Get version info
@@ -225,7 +406,7 @@ class ZtgiUIClass {
 const ZtgiUI = new ZtgiUIClass();
 
 // Export for ES modules
-export { ZtgiUI, ContextMenu, CursorModeManager, KeyboardManager, ActionRouter, SettingsPanel, VisIntegration, EmailForAiClient, AnalyticsTracker, AiAssistant, MenuCustomizer, QAStoneParser, utils };
+export { ZtgiUI, ContextMenu, CursorModeManager, KeyboardManager, ActionRouter, SettingsPanel, VisIntegration, EmailForAiClient, AnalyticsTracker, AiAssistant, MenuCustomizer, QAStoneParser, ConditionParser, SelectionManager, CommandPalette, ShortcutHelp, ConfirmDialog, FrameModal, ProgressIndicator, ActionQueue, MacroRecorder, utils, fuzzy };
 
 // Attach to window for script tag usage
 if (typeof window !== 'undefined') {
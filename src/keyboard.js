@@ -2,19 +2,102 @@
  * ZTGI Keyboard Shortcuts
  *
  * Usage:
- *   ZtgiUI.keyboard.register('ctrl+shift+c', () => {
+ *   ZtgiUI.keyboard.register('mod+shift+c', () => {
  *     ZtgiUI.cursor.setMode('copy');
  *   });
  *
  *   ZtgiUI.keyboard.register('escape', () => {
  *     ZtgiUI.cursor.setMode('default');
  *   });
+ *
+ *   // Optional metadata describes the binding (command palette, settings)
+ *   ZtgiUI.keyboard.register('ctrl+k', openPalette, { description: 'Command palette' });
+ *
+ *   // Sequences: keys pressed one after another, within sequenceTimeout ms
+ *   ZtgiUI.keyboard.register('g i', () => goTo('/inbox'), { description: 'Go to inbox' });
+ *
+ * While a sequence is pending a hint lists the keys that can follow. A key
+ * bound on its own and also starting a sequence fires once the timeout
+ * passes without a follow-up key.
+ *
+ * Scopes: bindings belong to 'global' unless given a scope. A scope is active
+ * while its `when(target, e)` test passes, or while focus is inside its
+ * `element` / `selector` container. Active scopes are tried highest
+ * `priority` first (inner containers before outer ones), then global. An
+ * `exclusive` scope stops plain keys (no Ctrl/Alt) from reaching the scopes
+ * below it, so typing in a panel doesn't trigger letter shortcuts.
+ *
+ *   ZtgiUI.keyboard.defineScope('graph', { element: graphContainer });
+ *   ZtgiUI.keyboard.register('f', fitGraph, { scope: 'graph' });
+ *
+ * Rebinding: users can move a binding to another combo. Overrides are keyed
+ * by scope and the combo the binding was registered with, so they also apply
+ * to bindings registered later (see SettingsPanel customShortcuts).
+ *
+ *   ZtgiUI.keyboard.rebind('c', 'shift+c');       // global 'c' now on Shift+C
+ *   ZtgiUI.keyboard.rebind('c', null);            // back to 'c'
+ *
+ * Modifiers: `mod` is Cmd on macOS and Ctrl elsewhere; `ctrl` and
+ * `meta` (alias `cmd`) always mean that exact key, so both can be bound on a
+ * Mac. Keys are matched by the character typed; with `physicalKeys` on they
+ * are matched by position instead (event.code, US names, shifted symbols as
+ * 'shift+/'), which keeps shortcuts in place on non-US layouts; bindings on
+ * a typed symbol ('?') still match as a fallback. Layouts
+ * without Latin letters fall back to key position automatically.
  */
 
 class KeyboardManager {
     constructor() {
         this.shortcuts = {};
+        this.meta = {};
+        this.scopes = {
+            global: { name: 'global', shortcuts: this.shortcuts, meta: this.meta, priority: 0, when: () => true }
+        };
         this.enabled = true;
+        this.sequenceTimeout = 1000;
+        this.pending = null;        // keys typed so far in a sequence
+        this.pendingTimer = null;
+        this.pendingScopes = null;  // scopes active when the sequence started
+        this.pendingEvent = null;   // key event that typed the pending keys
+        this.hintElement = null;
+        this.actionLabel = null;    // optional (action) => label, for the hint
+        this.overrides = {};        // { 'scope:defaultCombo': combo }
+        this.isMac = /Mac|iPhone|iPad|iPod/.test(navigator.platform || navigator.userAgent);
+        this.physicalKeys = false;  // match by key position (event.code)
+
+        // Browser shortcuts; blocked ones never reach the page
+        this.browserShortcuts = {};
+        Object.entries({
+            'mod+w': { label: 'Close tab', blocked: true },
+            'mod+shift+w': { label: 'Close window', blocked: true },
+            'mod+t': { label: 'New tab', blocked: true },
+            'mod+shift+t': { label: 'Reopen closed tab', blocked: true },
+            'mod+n': { label: 'New window', blocked: true },
+            'mod+shift+n': { label: 'New private window', blocked: true },
+            'ctrl+tab': { label: 'Next tab', blocked: true },
+            'ctrl+shift+tab': { label: 'Previous tab', blocked: true },
+            'mod+q': { label: 'Quit browser', blocked: true },
+            'alt+f4': { label: 'Close window', blocked: true },
+            'mod+p': { label: 'Print' },
+            'mod+s': { label: 'Save page' },
+            'mod+f': { label: 'Find in page' },
+            'mod+r': { label: 'Reload' },
+            'mod+shift+r': { label: 'Hard reload' },
+            'f5': { label: 'Reload' },
+            'mod+l': { label: 'Focus address bar' },
+            'mod+d': { label: 'Bookmark page' },
+            'mod+h': { label: 'History' },
+            'mod+j': { label: 'Downloads' },
+            'mod+o': { label: 'Open file' },
+            'mod+u': { label: 'View source' },
+            'mod+shift+i': { label: 'Developer tools' },
+            'f12': { label: 'Developer tools' },
+            'mod+=': { label: 'Zoom in' },
+            'mod+-': { label: 'Zoom out' },
+            'mod+0': { label: 'Reset zoom' }
+        }).forEach(([combo, info]) => {
+            this.browserShortcuts[this.normalizeCombo(combo)] = info;
+        });
     }
 
     init() {
@@ -34,22 +117,301 @@ class KeyboardManager {
                 }
             }
 
-            const key = this.normalizeKey(e);
-            if (this.shortcuts[key]) {
+            // Modifier presses on their own are part of the next key
+            if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+
+            this.handleKey(this.getKeyCandidates(e), e);
+        });
+    }
+
+    // Combos a key press may stand for, tried in order
+    getKeyCandidates(e) {
+        const typed = this.normalizeKey(e);
+        const physical = this.normalizeKey(e, true);
+        if (!physical || physical === typed) return [typed];
+        if (this.physicalKeys) {
+            // Typed symbols stay a fallback, so bindings like '?' still fire
+            return /^[^\p{L}\p{N}\s]$/u.test(e.key) ? [physical, typed] : [physical];
+        }
+        // Non-Latin layouts still reach letter shortcuts by key position
+        return /^[\x20-\x7e]$/.test(e.key) ? [typed] : [typed, physical];
+    }
+
+    // The combo to record for a key press (settings, macro shortcuts)
+    getBindingKey(e) {
+        const candidates = this.getKeyCandidates(e);
+        return this.physicalKeys ? candidates[0] : candidates[candidates.length - 1];
+    }
+
+    handleKey(keys, e) {
+        if (this.pending) {
+            const pending = this.pending;
+            const scopes = this.pendingScopes;
+            const pendingEvent = this.pendingEvent;
+            this.clearPending();
+
+            for (const key of keys) {
+                const sequence = `${pending} ${key}`;
+                const handler = this.findHandler(sequence, scopes);
+                if (handler) {
+                    e.preventDefault();
+                    handler(e);
+                    return;
+                }
+                if (this.isPrefix(sequence, scopes)) {
+                    e.preventDefault();
+                    this.startPending(sequence, scopes, e);
+                    return;
+                }
+            }
+            // Escape just abandons the sequence
+            if (keys[0] === 'escape') {
+                e.preventDefault();
+                return;
+            }
+            // The prefix fires on its own if bound, then the key counts on its own
+            const prefixHandler = this.findHandler(pending, scopes);
+            if (prefixHandler) prefixHandler(pendingEvent);
+        }
+
+        const scopes = this.getActiveScopes(e);
+        for (const key of keys) {
+            if (this.isPrefix(key, scopes)) {
+                e.preventDefault();
+                this.startPending(key, scopes, e);
+                return;
+            }
+
+            const handler = this.findHandler(key, scopes);
+            if (handler) {
                 e.preventDefault();
-                this.shortcuts[key](e);
+                handler(e);
+                return;
             }
+        }
+    }
+
+    /**
+     * Define a named scope, replacing any earlier definition but keeping its
+     * bindings. Bindings registered for a scope before it is defined stay
+     * inactive until then.
+     * @param {string} name
+     * @param {Object} options - { when, element, selector, priority, exclusive }
+     */
+    defineScope(name, options = {}) {
+        if (name === 'global') return this.scopes.global;
+        const { shortcuts, meta } = this.getScope(name);
+        const container = options.element || options.selector;
+        this.scopes[name] = {
+            priority: container ? 100 : 0,
+            exclusive: false,
+            ...options,
+            name,
+            shortcuts,
+            meta
+        };
+        return this.scopes[name];
+    }
+
+    removeScope(name) {
+        if (name === 'global') return;
+        delete this.scopes[name];
+    }
+
+    getScope(name = 'global') {
+        if (!this.scopes[name]) {
+            this.scopes[name] = { name, shortcuts: {}, meta: {}, priority: 0 };
+        }
+        return this.scopes[name];
+    }
+
+    /**
+     * Scopes that apply to a key event, in the order they are tried
+     */
+    getActiveScopes(e) {
+        const target = e && e.target && e.target.nodeType === 1 ? e.target : document.activeElement;
+        return Object.values(this.scopes)
+            .map(scope => ({ scope, match: this.matchScope(scope, target, e) }))
+            .filter(({ match }) => match)
+            .sort((a, b) => {
+                if (b.scope.priority !== a.scope.priority) return b.scope.priority - a.scope.priority;
+                // Nested containers: the inner one wins
+                if (a.match.nodeType && b.match.nodeType && a.match !== b.match) {
+                    if (a.match.contains(b.match)) return 1;
+                    if (b.match.contains(a.match)) return -1;
+                }
+                return 0;
+            })
+            .map(({ scope }) => scope);
+    }
+
+    // The matched container element, true for an active non-container scope
+    matchScope(scope, target, e) {
+        if (scope.element) {
+            return target && scope.element.contains(target) ? scope.element : null;
+        }
+        if (scope.selector) {
+            return target && target.closest ? target.closest(scope.selector) : null;
+        }
+        return scope.when ? Boolean(scope.when(target, e)) : false;
+    }
+
+    // Plain keys (no Ctrl/Cmd/Alt on the first key) stop at exclusive scopes
+    isPlain(combo) {
+        return !/(^|\+)(ctrl|meta|alt)\+/.test(combo.split(' ')[0]);
+    }
+
+    reachableScopes(combo, scopes) {
+        const plain = this.isPlain(combo);
+        const index = scopes.findIndex(scope => scope.exclusive);
+        return plain && index !== -1 ? scopes.slice(0, index + 1) : scopes;
+    }
+
+    findHandler(combo, scopes) {
+        const scope = this.reachableScopes(combo, scopes).find(scope => scope.shortcuts[combo]);
+        return scope ? scope.shortcuts[combo] : null;
+    }
+
+    // True when some sequence starts with these keys
+    isPrefix(keys, scopes = [this.scopes.global]) {
+        const prefix = `${keys} `;
+        return this.reachableScopes(keys, scopes)
+            .some(scope => Object.keys(scope.shortcuts).some(combo => combo.startsWith(prefix)));
+    }
+
+    startPending(keys, scopes, e) {
+        this.pending = keys;
+        this.pendingScopes = scopes;
+        this.pendingEvent = e;
+        this.showHint(keys, scopes);
+        this.pendingTimer = setTimeout(() => {
+            // A key that is also bound on its own fires when nothing follows,
+            // with the event that typed it
+            const handler = this.findHandler(keys, scopes);
+            this.clearPending();
+            if (handler) handler(e);
+        }, this.sequenceTimeout);
+    }
+
+    clearPending() {
+        clearTimeout(this.pendingTimer);
+        this.pendingTimer = null;
+        this.pending = null;
+        this.pendingScopes = null;
+        this.pendingEvent = null;
+        this.hideHint();
+    }
+
+    setSequenceTimeout(ms) {
+        this.sequenceTimeout = ms;
+    }
+
+    // Keys that can follow a pending sequence, with what they do
+    getContinuations(keys, scopes = [this.scopes.global]) {
+        const prefix = `${keys} `;
+        const seen = new Set();
+        const continuations = [];
+        this.reachableScopes(keys, scopes).forEach(scope => {
+            Object.keys(scope.shortcuts).forEach(combo => {
+                if (!combo.startsWith(prefix) || seen.has(combo)) return;
+                seen.add(combo);
+                const meta = scope.meta[combo] || {};
+                const label = meta.description
+                    || (meta.action && this.actionLabel ? this.actionLabel(meta.action) : meta.action);
+                continuations.push({ key: combo.slice(prefix.length), combo, label: label || '' });
+            });
         });
+        return continuations;
+    }
+
+    showHint(keys, scopes) {
+        if (!this.hintElement) {
+            this.addStyles();
+            this.hintElement = document.createElement('div');
+            this.hintElement.className = 'ztgi-sequence-hint';
+            this.hintElement.setAttribute('role', 'status');
+            this.hintElement.setAttribute('aria-live', 'polite');
+            document.body.appendChild(this.hintElement);
+        }
+
+        this.hintElement.innerHTML = '';
+        const pressed = document.createElement('kbd');
+        pressed.textContent = keys;
+        this.hintElement.appendChild(pressed);
+        this.getContinuations(keys, scopes).forEach(({ key, label }) => {
+            const option = document.createElement('span');
+            option.className = 'ztgi-sequence-option';
+            option.innerHTML = '<kbd></kbd> ';
+            option.querySelector('kbd').textContent = key;
+            option.appendChild(document.createTextNode(label));
+            this.hintElement.appendChild(option);
+        });
+        this.hintElement.style.display = 'flex';
+    }
+
+    hideHint() {
+        if (this.hintElement) this.hintElement.style.display = 'none';
     }
 
-    normalizeKey(e) {
+    addStyles() {
+        if (document.getElementById('ztgi-keyboard-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'ztgi-keyboard-styles';
+        style.textContent = `
+            .ztgi-sequence-hint {
+                position: fixed;
+                bottom: 80px;
+                left: 50%;
+                transform: translateX(-50%);
+                display: flex;
+                flex-wrap: wrap;
+                align-items: center;
+                gap: 12px;
+                max-width: 80vw;
+                padding: 8px 14px;
+                background: #1e1e1e;
+                border: 1px solid #3a3a3a;
+                border-radius: 8px;
+                box-shadow: 0 4px 16px rgba(0,0,0,0.3);
+                color: #ccc;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 13px;
+                z-index: 10002;
+            }
+            .ztgi-sequence-hint kbd {
+                padding: 2px 6px;
+                background: #333;
+                border: 1px solid #444;
+                border-radius: 4px;
+                color: #fff;
+                font-family: monospace;
+            }
+            .ztgi-sequence-hint > kbd {
+                border-color: #4a9eff;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Combo for a key event, modifiers in ctrl, meta, alt, shift order. With
+     * `physical` the key is named from event.code (null if it has no name).
+     */
+    normalizeKey(e, physical = false) {
+        let keyName = physical ? this.codeToKey(e.code) : e.key.toLowerCase();
+        if (keyName === null) return null;
+
         const parts = [];
-        if (e.ctrlKey || e.metaKey) parts.push('ctrl');
+        if (e.ctrlKey) parts.push('ctrl');
+        if (e.metaKey) parts.push('meta');
         if (e.altKey) parts.push('alt');
-        if (e.shiftKey) parts.push('shift');
+
+        // Shifted symbols ('?', '!') already say so in the key
+        const symbol = !physical && e.key.length === 1 && e.key !== ' ' && e.key.toLowerCase() === e.key.toUpperCase();
+        if (e.shiftKey && !symbol) parts.push('shift');
 
         // Normalize key name
-        let keyName = e.key.toLowerCase();
         if (keyName === ' ') keyName = 'space';
         if (keyName === 'arrowup') keyName = 'up';
         if (keyName === 'arrowdown') keyName = 'down';
@@ -60,20 +422,196 @@ class KeyboardManager {
         return parts.join('+');
     }
 
-    register(combo, handler) {
-        const normalized = combo.toLowerCase()
-            .replace('cmd', 'ctrl')
-            .replace('meta', 'ctrl')
-            .replace('command', 'ctrl');
-        this.shortcuts[normalized] = handler;
+    // US-layout name of the key at a physical position ('KeyQ' -> 'q')
+    codeToKey(code) {
+        if (!code) return null;
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3).toLowerCase();
+        if (/^(Digit|Numpad)[0-9]$/.test(code)) return code.slice(-1);
+        const names = {
+            Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']', Backslash: '\\',
+            Semicolon: ';', Quote: "'", Backquote: '`', Comma: ',', Period: '.', Slash: '/', Space: 'space'
+        };
+        return names[code] || null;
+    }
+
+    /**
+     * Split one combo ('mod+shift+k') into its modifiers and key, resolving
+     * aliases: mod is meta on macOS and ctrl elsewhere, cmd/command/win are
+     * meta, option is alt and esc is escape
+     */
+    parseCombo(part) {
+        const tokens = part.split('+');
+        let key = tokens.pop();
+        // 'ctrl++' names the '+' key
+        if (key === '' && tokens[tokens.length - 1] === '') {
+            tokens.pop();
+            key = '+';
+        }
+
+        const aliases = {
+            mod: this.isMac ? 'meta' : 'ctrl',
+            control: 'ctrl',
+            cmd: 'meta',
+            command: 'meta',
+            win: 'meta',
+            super: 'meta',
+            option: 'alt',
+            opt: 'alt'
+        };
+        const modifiers = new Set(tokens.filter(Boolean).map(token => aliases[token] || token));
+        const keys = { esc: 'escape', return: 'enter', arrowup: 'up', arrowdown: 'down', arrowleft: 'left', arrowright: 'right' };
+        return {
+            modifiers: ['ctrl', 'meta', 'alt', 'shift'].filter(modifier => modifiers.has(modifier)),
+            key: keys[key] || key
+        };
+    }
+
+    // Lower-case a combo or space-separated sequence in normalizeKey's form
+    normalizeCombo(combo) {
+        return combo.toLowerCase().trim().split(/\s+/)
+            .map(part => {
+                const { modifiers, key } = this.parseCombo(part);
+                return [...modifiers, key].join('+');
+            })
+            .join(' ');
+    }
+
+    // Match keys by position (event.code) rather than the character typed
+    setPhysicalKeys(enabled) {
+        this.physicalKeys = Boolean(enabled);
+    }
+
+    register(combo, handler, options = {}) {
+        const defaultCombo = this.normalizeCombo(combo);
+        const scope = this.getScope(options.scope);
+        const normalized = this.overrides[`${scope.name}:${defaultCombo}`] || defaultCombo;
+        this.warnPrefixConflict(normalized, scope);
+        scope.shortcuts[normalized] = handler;
+        scope.meta[normalized] = { ...options, defaultCombo };
+    }
+
+    // Accepts the registered combo even if the user rebound it
+    unregister(combo, scope = 'global') {
+        const current = this.resolveCombo(this.normalizeCombo(combo), scope);
+        if (!current) return;
+        delete this.scopes[scope].shortcuts[current];
+        delete this.scopes[scope].meta[current];
+    }
+
+    // The combo a binding registered as `defaultCombo` is currently on
+    resolveCombo(defaultCombo, scopeName = 'global') {
+        const scope = this.scopes[scopeName];
+        if (!scope) return null;
+        return Object.keys(scope.meta).find(combo => scope.meta[combo].defaultCombo === defaultCombo) || null;
     }
 
-    unregister(combo) {
-        const normalized = combo.toLowerCase()
-            .replace('cmd', 'ctrl')
-            .replace('meta', 'ctrl')
-            .replace('command', 'ctrl');
-        delete this.shortcuts[normalized];
+    /**
+     * Move a binding to another combo (null restores its default). A binding
+     * already on that combo in the same scope takes the old one instead.
+     */
+    rebind(defaultCombo, combo, scopeName = 'global') {
+        defaultCombo = this.normalizeCombo(defaultCombo);
+        const target = combo ? this.normalizeCombo(combo) : defaultCombo;
+        this.setOverride(scopeName, defaultCombo, target);
+
+        const current = this.resolveCombo(defaultCombo, scopeName);
+        if (!current || current === target) return;
+
+        const scope = this.scopes[scopeName];
+        const displaced = scope.meta[target];
+        const handler = scope.shortcuts[current];
+        const meta = scope.meta[current];
+        if (displaced) {
+            scope.shortcuts[current] = scope.shortcuts[target];
+            scope.meta[current] = displaced;
+            this.setOverride(scopeName, displaced.defaultCombo, current);
+        } else {
+            delete scope.shortcuts[current];
+            delete scope.meta[current];
+        }
+        scope.shortcuts[target] = handler;
+        scope.meta[target] = meta;
+    }
+
+    setOverride(scopeName, defaultCombo, combo) {
+        const key = `${scopeName}:${defaultCombo}`;
+        if (combo === defaultCombo) {
+            delete this.overrides[key];
+        } else {
+            this.overrides[key] = combo;
+        }
+    }
+
+    /**
+     * Replace all user overrides ({ 'scope:defaultCombo': combo })
+     */
+    setOverrides(overrides = {}) {
+        Object.keys(this.overrides).forEach(key => {
+            const [scope, defaultCombo] = this.parseOverrideKey(key);
+            this.rebind(defaultCombo, null, scope);
+        });
+        Object.entries(overrides).forEach(([key, combo]) => {
+            const [scope, defaultCombo] = this.parseOverrideKey(key);
+            this.rebind(defaultCombo, combo, scope);
+        });
+    }
+
+    // Split on the first ':' only, since a combo may itself contain one
+    parseOverrideKey(key) {
+        const index = key.indexOf(':');
+        return [key.slice(0, index), key.slice(index + 1)];
+    }
+
+    getOverrides() {
+        return { ...this.overrides };
+    }
+
+    /**
+     * What a binding would clash with on `combo`: a browser shortcut
+     * ('browser', blocked ones can't be used), another binding in the same
+     * scope ('binding'), a sequence sharing its first keys ('prefix') or the
+     * same combo in another scope ('scope')
+     */
+    getConflicts(combo, scopeName = 'global', defaultCombo = null) {
+        combo = this.normalizeCombo(combo);
+        const conflicts = [];
+        const browser = this.browserShortcuts[combo.split(' ')[0]];
+        if (browser) conflicts.push({ type: 'browser', ...browser });
+
+        const isSelf = (meta) => defaultCombo && meta.defaultCombo === defaultCombo;
+        Object.values(this.scopes).forEach(scope => {
+            Object.keys(scope.shortcuts).forEach(other => {
+                const meta = scope.meta[other] || {};
+                if (scope.name === scopeName && isSelf(meta)) return;
+                const binding = { combo: other, scope: scope.name, ...meta };
+                if (other === combo) {
+                    conflicts.push({ type: scope.name === scopeName ? 'binding' : 'scope', binding });
+                } else if (scope.name === scopeName && (other.startsWith(`${combo} `) || combo.startsWith(`${other} `))) {
+                    conflicts.push({ type: 'prefix', binding });
+                }
+            });
+        });
+        return conflicts;
+    }
+
+    // Run a binding directly (command palette)
+    trigger(combo, scope = 'global') {
+        const handler = this.scopes[scope] && this.scopes[scope].shortcuts[combo];
+        if (handler) handler();
+    }
+
+    // A combo that is also the start of a sequence only fires after the timeout
+    warnPrefixConflict(combo, scope = this.scopes.global) {
+        const keys = combo.split(' ');
+        for (let i = 1; i < keys.length; i++) {
+            const prefix = keys.slice(0, i).join(' ');
+            if (scope.shortcuts[prefix]) {
+                console.warn(`[ZTGI-UI] Shortcut "${prefix}" starts sequence "${combo}"; it will fire after ${this.sequenceTimeout}ms`);
+            }
+        }
+        if (this.isPrefix(combo, [scope]) && !scope.shortcuts[combo]) {
+            console.warn(`[ZTGI-UI] Shortcut "${combo}" starts a sequence; it will fire after ${this.sequenceTimeout}ms`);
+        }
     }
 
     enable() {
@@ -88,6 +626,24 @@ class KeyboardManager {
     getShortcuts() {
         return Object.keys(this.shortcuts);
     }
+
+    // Get shortcuts with their metadata ({ combo, scope, defaultCombo, action, description })
+    getBindings() {
+        return Object.values(this.scopes).flatMap(scope =>
+            Object.keys(scope.shortcuts).map(combo => ({ combo, ...scope.meta[combo], scope: scope.name }))
+        );
+    }
+
+    // Whether the user moved this binding off its default combo
+    isOverridden(defaultCombo, scope = 'global') {
+        return Boolean(this.overrides[`${scope}:${defaultCombo}`]);
+    }
+
+    // Find the combo bound to an action, if any (global bindings first)
+    getComboForAction(action) {
+        const binding = this.getBindings().find(binding => binding.action === action);
+        return binding ? binding.combo : null;
+    }
 }
 
 export { KeyboardManager };
@@ -0,0 +1,595 @@
+/**
+ * Macro Recorder
+ *
+ * Records a sequence of actions (from menus, shortcuts or the palette) and
+ * cursor-mode changes, saves it under a name and optional shortcut, and plays
+ * it back against the currently selected element(s).
+ *
+ * A macro is stored as a composite action (see ActionRouter.registerComposite)
+ * named `macro.<id>`. Values that came from the element an action ran on are
+ * recorded as "{key}" placeholders, so playback fills them from the new target.
+ * toConfigSnippet() gives the same definition as JSON for an app config.
+ *
+ * Usage:
+ *   ZtgiUI.macros.start();          // or Ctrl+Alt+M
+ *   ZtgiUI.macros.stop();           // asks for a name and shortcut
+ *   ZtgiUI.macros.play('dailyTriage');
+ *   ZtgiUI.macros.toConfigSnippet('dailyTriage');
+ */
+
+import { showToast, getElementData, findContextParent, copyToClipboard } from './utils.js';
+
+class MacroRecorder {
+    constructor(ztgiInstance) {
+        this.ztgi = ztgiInstance;
+        this.localStorageKey = 'ztgi_macros';
+        this.macros = {};
+        this.recording = false;
+        this.steps = [];
+        this.lastTarget = null;
+        this.indicator = null;
+        this.dialog = null;
+    }
+
+    /**
+     * Load saved macros and start listening
+     */
+    init() {
+        this.addStyles();
+
+        this.ztgi.actions.register('macro.record', () => this.toggle(), { label: 'Record Macro' });
+        this.ztgi.keyboard.register('ctrl+alt+m', () => this.toggle(), {
+            action: 'macro.record',
+            description: 'Start/stop recording a macro'
+        });
+
+        // After the built-in bindings, so stored shortcuts are checked against them
+        this.load();
+        const dropped = Object.values(this.macros).filter(macro => !this.registerMacro(macro));
+        if (dropped.length > 0) this.persist();
+
+        // Remember which element actions run on, to tell its data from item data
+        const trackTarget = (e) => {
+            const target = findContextParent(e.target);
+            if (target) this.lastTarget = target;
+        };
+        document.addEventListener('contextmenu', trackTarget, true);
+        document.addEventListener('focusin', trackTarget);
+
+        document.addEventListener('ztgi:action', (e) => this.onAction(e.detail));
+        document.addEventListener('ztgi:cursormode', (e) => {
+            if (this.recording) this.addStep({ action: `cursor.${e.detail.mode}` });
+        });
+
+        return this;
+    }
+
+    // ==================== Recording ====================
+
+    toggle() {
+        if (this.recording) {
+            this.stop();
+        } else {
+            this.start();
+        }
+    }
+
+    start() {
+        if (this.recording) return;
+        this.recording = true;
+        this.steps = [];
+        this.showIndicator();
+        this.emit('record');
+        showToast('Recording macro — press Ctrl+Alt+M to stop');
+    }
+
+    /**
+     * Stop recording and ask where to save it (discard drops the steps)
+     */
+    stop({ discard = false } = {}) {
+        if (!this.recording) return;
+        this.recording = false;
+        this.hideIndicator();
+        this.emit('stop');
+
+        const steps = this.steps;
+        this.steps = [];
+        if (discard) return;
+
+        if (steps.length === 0) {
+            showToast('Nothing recorded');
+            return;
+        }
+        this.showSaveDialog(steps);
+    }
+
+    onAction({ phase, action, data, parent }) {
+        // Only top-level actions that went through; cursor actions are
+        // recorded from the mode change itself
+        if (!this.recording || phase !== 'success' || parent) return;
+        if (action.startsWith('macro.') || action.startsWith('cursor.') || action === 'palette.open') return;
+
+        const step = { action };
+        const mapping = this.toDataTemplate(data);
+        if (mapping) step.data = mapping;
+        this.addStep(step);
+    }
+
+    addStep(step) {
+        const last = this.steps[this.steps.length - 1];
+        // Repeated cursor changes collapse into the last one
+        if (last && step.action.startsWith('cursor.') && last.action.startsWith('cursor.')) {
+            this.steps[this.steps.length - 1] = step;
+        } else {
+            this.steps.push(step);
+        }
+        this.updateIndicator();
+    }
+
+    /**
+     * Turn recorded data into a step mapping: values taken from the target
+     * element become "{key}" placeholders. Returns null when all of it came
+     * from the element (the step then simply receives the playback target).
+     */
+    toDataTemplate(data) {
+        const sample = Array.isArray(data) ? data[0] || {} : data || {};
+        const selected = this.ztgi.selection ? this.ztgi.selection.getSelected() : [];
+        const source = getElementData(Array.isArray(data) && selected.length ? selected[0] : this.lastTarget);
+
+        const template = {};
+        let literal = false;
+        for (const [key, value] of Object.entries(sample)) {
+            if (source[key] !== undefined && source[key] === value) {
+                template[key] = `{${key}}`;
+            } else {
+                template[key] = JSON.parse(JSON.stringify(value ?? null));
+                literal = true;
+            }
+        }
+        return literal ? template : null;
+    }
+
+    // ==================== Saved macros ====================
+
+    /**
+     * Save steps as a macro; returns it
+     */
+    save(name, steps, shortcut = null) {
+        const macro = {
+            id: this.uniqueId(this.slugify(name)),
+            name,
+            steps,
+            shortcut: shortcut || null,
+            createdAt: Date.now()
+        };
+        this.macros[macro.id] = macro;
+        this.registerMacro(macro);
+        this.persist();
+        this.emit('save', macro);
+        return macro;
+    }
+
+    remove(id) {
+        const macro = this.macros[id];
+        if (!macro) return false;
+        if (macro.shortcut) this.ztgi.keyboard.unregister(macro.shortcut);
+        this.ztgi.actions.unregister(this.getActionName(id));
+        delete this.macros[id];
+        this.persist();
+        this.emit('delete', macro);
+        return true;
+    }
+
+    setShortcut(id, shortcut) {
+        const macro = this.macros[id];
+        if (!macro) return false;
+        if (macro.shortcut) this.ztgi.keyboard.unregister(macro.shortcut);
+        macro.shortcut = shortcut || null;
+        const registered = this.registerMacro(macro);
+        this.persist();
+        return registered;
+    }
+
+    /**
+     * Make a macro runnable as an action (menus, palette) and from its
+     * shortcut. A shortcut that checkShortcut() refuses is dropped rather
+     * than replacing another binding; returns false then.
+     */
+    registerMacro(macro) {
+        const action = this.getActionName(macro.id);
+        this.ztgi.actions.registerComposite(action, { label: macro.name, steps: macro.steps });
+        if (!macro.shortcut) return true;
+
+        const { refused, message } = this.checkShortcut(macro.shortcut);
+        if (refused) {
+            console.warn(`[ZTGI-UI] Shortcut ${macro.shortcut} for macro "${macro.name}" dropped: ${message}`);
+            macro.shortcut = null;
+            return false;
+        }
+        this.ztgi.keyboard.register(macro.shortcut, () => this.play(macro.id), {
+            action,
+            description: `Macro: ${macro.name}`
+        });
+        return true;
+    }
+
+    /**
+     * Replay a macro against the selected element(s), else the focused one
+     */
+    play(id, data = null) {
+        const macro = this.macros[id];
+        if (!macro) return Promise.resolve(null);
+        if (this.recording) {
+            showToast('Stop recording before playing a macro');
+            return Promise.resolve(null);
+        }
+
+        this.emit('play', macro);
+        return this.ztgi.actions.execute(this.getActionName(id), data || this.getPlaybackData()).catch(() => null);
+    }
+
+    getPlaybackData() {
+        const selected = this.ztgi.selection ? this.ztgi.selection.getSelected() : [];
+        if (selected.length > 1) return selected.map(el => getElementData(el));
+        if (selected.length === 1) return getElementData(selected[0]);
+        return getElementData(findContextParent(document.activeElement));
+    }
+
+    getMacros() {
+        return Object.values(this.macros).sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    getActionName(id) {
+        return `macro.${id}`;
+    }
+
+    /**
+     * The macro as app config JSON ({ actions, shortcuts })
+     */
+    toConfigSnippet(id) {
+        const macro = this.macros[id];
+        if (!macro) return null;
+
+        const action = this.getActionName(id);
+        const snippet = { actions: { [action]: { label: macro.name, steps: macro.steps } } };
+        if (macro.shortcut) snippet.shortcuts = { [macro.shortcut]: action };
+        return JSON.stringify(snippet, null, 2);
+    }
+
+    copyConfigSnippet(id) {
+        const snippet = this.toConfigSnippet(id);
+        if (!snippet) return;
+        copyToClipboard(snippet);
+        showToast('Macro config copied');
+    }
+
+    // "Daily triage" -> "dailyTriage"
+    slugify(name) {
+        const words = name.trim().toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+        const slug = words.map((w, i) => (i === 0 ? w : w[0].toUpperCase() + w.slice(1))).join('');
+        return slug || 'macro';
+    }
+
+    uniqueId(base) {
+        let id = base;
+        for (let n = 2; this.macros[id] || this.ztgi.actions.handlers[this.getActionName(id)]; n++) {
+            id = `${base}${n}`;
+        }
+        return id;
+    }
+
+    load() {
+        try {
+            const stored = localStorage.getItem(this.localStorageKey);
+            if (stored) this.macros = JSON.parse(stored);
+        } catch (error) {
+            console.error('[MacroRecorder] Load error:', error);
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(this.localStorageKey, JSON.stringify(this.macros));
+        } catch (error) {
+            console.error('[MacroRecorder] Save error:', error);
+        }
+    }
+
+    emit(type, macro = null) {
+        document.dispatchEvent(new CustomEvent('ztgi:macro', {
+            detail: { type, macro, recording: this.recording }
+        }));
+    }
+
+    // ==================== UI ====================
+
+    showIndicator() {
+        if (!this.indicator) {
+            this.indicator = document.createElement('div');
+            this.indicator.className = 'ztgi-macro-indicator';
+            this.indicator.setAttribute('role', 'status');
+            this.indicator.innerHTML = `
+                <span class="ztgi-macro-dot" aria-hidden="true"></span>
+                <span class="ztgi-macro-count"></span>
+                <button class="ztgi-macro-btn ztgi-macro-stop" title="Stop (Ctrl+Alt+M)">Stop</button>
+                <button class="ztgi-macro-btn ztgi-macro-discard">Discard</button>
+            `;
+            this.indicator.querySelector('.ztgi-macro-stop').onclick = () => this.stop();
+            this.indicator.querySelector('.ztgi-macro-discard').onclick = () => this.stop({ discard: true });
+            document.body.appendChild(this.indicator);
+        }
+        this.indicator.style.display = 'flex';
+        this.updateIndicator();
+    }
+
+    updateIndicator() {
+        if (!this.indicator) return;
+        const count = this.steps.length;
+        this.indicator.querySelector('.ztgi-macro-count').textContent =
+            `Recording · ${count} step${count === 1 ? '' : 's'}`;
+    }
+
+    hideIndicator() {
+        if (this.indicator) this.indicator.style.display = 'none';
+    }
+
+    /**
+     * Ask for a name and optional shortcut for the recorded steps
+     */
+    showSaveDialog(steps) {
+        this.closeDialog();
+
+        const overlay = document.createElement('div');
+        overlay.className = 'ztgi-macro-overlay';
+        overlay.innerHTML = `
+            <form class="ztgi-macro-dialog" role="dialog" aria-modal="true" aria-labelledby="ztgi-macro-title">
+                <div class="ztgi-macro-title" id="ztgi-macro-title">Save macro</div>
+                <div class="ztgi-macro-steps"></div>
+                <label class="ztgi-macro-field">
+                    Name
+                    <input class="ztgi-macro-name" type="text" required />
+                </label>
+                <label class="ztgi-macro-field">
+                    Shortcut (optional)
+                    <input class="ztgi-macro-shortcut" type="text" readonly placeholder="Press keys…" />
+                </label>
+                <div class="ztgi-macro-warning" aria-live="polite"></div>
+                <div class="ztgi-macro-actions">
+                    <button type="button" class="ztgi-macro-btn ztgi-macro-cancel">Discard</button>
+                    <button type="submit" class="ztgi-macro-btn ztgi-macro-save">Save</button>
+                </div>
+            </form>
+        `;
+
+        overlay.querySelector('.ztgi-macro-steps').textContent = steps
+            .map((step, i) => `${i + 1}. ${this.ztgi.actions.getMeta(step.action).label || step.action}`)
+            .join('\n');
+
+        const nameInput = overlay.querySelector('.ztgi-macro-name');
+        const shortcutInput = overlay.querySelector('.ztgi-macro-shortcut');
+        const warning = overlay.querySelector('.ztgi-macro-warning');
+        let shortcut = null;
+        let refused = false;
+
+        shortcutInput.addEventListener('keydown', (e) => {
+            if (['Tab', 'Escape', 'Enter'].includes(e.key)) return;
+            e.preventDefault();
+            if (e.key === 'Backspace' || e.key === 'Delete') {
+                shortcut = null;
+                refused = false;
+                shortcutInput.value = '';
+                warning.textContent = '';
+                return;
+            }
+            if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return;
+
+            shortcut = this.ztgi.keyboard.getBindingKey(e);
+            shortcutInput.value = this.formatShortcut(shortcut);
+            const check = this.checkShortcut(shortcut);
+            refused = check.refused;
+            warning.textContent = check.message;
+        });
+
+        overlay.querySelector('form').onsubmit = (e) => {
+            e.preventDefault();
+            const name = nameInput.value.trim();
+            if (!name) return;
+            if (refused) {
+                shortcutInput.focus();
+                return;
+            }
+            const macro = this.save(name, steps, shortcut);
+            this.closeDialog();
+            showToast(`Saved macro "${macro.name}"`);
+        };
+        overlay.querySelector('.ztgi-macro-cancel').onclick = () => this.closeDialog();
+        overlay.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.closeDialog();
+        });
+
+        document.body.appendChild(overlay);
+        this.dialog = overlay;
+        nameInput.focus();
+    }
+
+    /**
+     * Check a shortcut against existing bindings. Keys reserved by the
+     * browser or already bound globally are refused: registering over a
+     * binding replaces it, and deleting the macro would then lose it.
+     */
+    checkShortcut(shortcut) {
+        const conflicts = this.ztgi.keyboard.getConflicts(shortcut);
+        const describe = (binding) => binding.description || binding.action || 'an existing shortcut';
+
+        const blocked = conflicts.find(c => c.type === 'browser' && c.blocked);
+        if (blocked) {
+            return { refused: true, message: `Reserved by the browser (${blocked.label}); choose another shortcut` };
+        }
+        const taken = conflicts.find(c => c.type === 'binding');
+        if (taken) {
+            return { refused: true, message: `Already used by "${describe(taken.binding)}"; choose another shortcut` };
+        }
+
+        const message = conflicts.map(conflict => {
+            switch (conflict.type) {
+                case 'browser':
+                    return `Replaces the browser's ${conflict.label} shortcut`;
+                case 'prefix':
+                    return `Shares keys with ${this.formatShortcut(conflict.binding.combo)} ("${describe(conflict.binding)}")`;
+                default:
+                    return `Also "${describe(conflict.binding)}" in ${conflict.binding.scope}`;
+            }
+        }).join('; ');
+        return { refused: false, message };
+    }
+
+    formatShortcut(combo) {
+        return this.ztgi.settings ? this.ztgi.settings.formatKeyCombo(combo) : combo;
+    }
+
+    closeDialog() {
+        if (this.dialog) this.dialog.remove();
+        this.dialog = null;
+    }
+
+    /**
+     * Add CSS styles
+     */
+    addStyles() {
+        if (document.getElementById('ztgi-macro-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'ztgi-macro-styles';
+        style.textContent = `
+            .ztgi-macro-indicator {
+                position: fixed;
+                top: 16px;
+                right: 16px;
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                padding: 8px 10px 8px 14px;
+                background: #1e1e1e;
+                border: 1px solid #3a3a3a;
+                border-radius: 20px;
+                box-shadow: 0 4px 16px rgba(0,0,0,0.3);
+                color: #e0e0e0;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 13px;
+                z-index: 10002;
+            }
+            .ztgi-macro-dot {
+                width: 10px;
+                height: 10px;
+                border-radius: 50%;
+                background: #e5534b;
+                animation: ztgi-macro-pulse 1.2s ease-in-out infinite;
+            }
+            @keyframes ztgi-macro-pulse {
+                50% { opacity: 0.3; }
+            }
+            .ztgi-macro-btn {
+                padding: 4px 10px;
+                background: #333;
+                border: none;
+                border-radius: 12px;
+                color: #ccc;
+                font-size: 12px;
+                cursor: pointer;
+            }
+            .ztgi-macro-btn:hover {
+                background: #444;
+            }
+            .ztgi-macro-overlay {
+                position: fixed;
+                inset: 0;
+                background: rgba(0,0,0,0.6);
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                z-index: 20000;
+            }
+            .ztgi-macro-dialog {
+                width: 360px;
+                max-width: 90vw;
+                padding: 20px;
+                background: #1e1e1e;
+                border: 1px solid #3a3a3a;
+                border-radius: 12px;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.4);
+                color: #e0e0e0;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 14px;
+            }
+            .ztgi-macro-title {
+                font-weight: 600;
+                font-size: 16px;
+                margin-bottom: 12px;
+            }
+            .ztgi-macro-steps {
+                max-height: 140px;
+                overflow-y: auto;
+                margin-bottom: 16px;
+                padding: 8px 12px;
+                background: #2a2a2a;
+                border-radius: 8px;
+                color: #aaa;
+                font-size: 12px;
+                white-space: pre-line;
+            }
+            .ztgi-macro-field {
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+                margin-bottom: 12px;
+                color: #aaa;
+                font-size: 12px;
+            }
+            .ztgi-macro-field input {
+                padding: 8px 10px;
+                background: #2a2a2a;
+                border: 1px solid #3a3a3a;
+                border-radius: 6px;
+                color: #e0e0e0;
+                font-size: 14px;
+            }
+            .ztgi-macro-field input:focus {
+                outline: none;
+                border-color: #4a9eff;
+            }
+            .ztgi-macro-warning {
+                min-height: 16px;
+                color: #d9822b;
+                font-size: 12px;
+            }
+            .ztgi-macro-actions {
+                display: flex;
+                justify-content: flex-end;
+                gap: 8px;
+                margin-top: 8px;
+            }
+            .ztgi-macro-save {
+                background: #4a9eff;
+                color: white;
+            }
+            .ztgi-macro-save:hover {
+                background: #3a8eef;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.recording = false;
+        if (this.indicator) this.indicator.remove();
+        this.closeDialog();
+        const styles = document.getElementById('ztgi-macro-styles');
+        if (styles) styles.remove();
+    }
+}
+
+export { MacroRecorder };
@@ -37,7 +37,7 @@ class MenuCustomizer {
         // Load applied changes from localStorage
         this.loadAppliedChanges();
 
-        // Apply any pending customizations
+        // Apply stored customizations whenever a menu is resolved
         this.applyStoredCustomizations();
 
         this.initialized = true;
@@ -62,7 +62,7 @@ class MenuCustomizer {
         const menuTypes = this.ztgi.getMenuTypes();
 
         for (const menuType of menuTypes) {
-            const menuItems = this.ztgi.contextMenu.menus[menuType] || [];
+            const menuItems = this.getCustomizableItems(menuType);
 
             // Proposal 1: Reorder based on usage
             const reorderProposal = this.generateReorderProposal(menuType, menuItems, menuUsage);
@@ -222,7 +222,7 @@ class MenuCustomizer {
     proposeRemoveUnused(menuType) {
         if (!this.analytics) return null;
 
-        const menuItems = this.ztgi.contextMenu.menus[menuType] || [];
+        const menuItems = this.getCustomizableItems(menuType);
         const allActions = menuItems
             .filter(i => !i.divider)
             .map(i => ({ action: i.action, label: i.label }));
@@ -263,7 +263,7 @@ class MenuCustomizer {
                     <span class="ztgi-proposal-title">${this.getProposalTitle(proposal.type)}</span>
                 </div>
                 <div class="ztgi-proposal-body">
-                    <p class="ztgi-proposal-rationale">${proposal.rationale}</p>
+                    <p class="ztgi-proposal-rationale">${this.ztgi.utils.escapeHtml(proposal.rationale)}</p>
                     <div class="ztgi-proposal-details">
                         ${this.renderProposalDetails(proposal)}
                     </div>
@@ -340,7 +340,7 @@ class MenuCustomizer {
                         <ol>
                             ${proposal.data.proposedOrder.slice(0, 5).map(action => {
                                 const count = proposal.data.usageCounts?.[action] || 0;
-                                return `<li>${action} <span class="ztgi-proposal-count">(${count} uses)</span></li>`;
+                                return `<li>${this.describeAction(proposal.menuType, action)} <span class="ztgi-proposal-count">(${count} uses)</span></li>`;
                             }).join('')}
                             ${proposal.data.proposedOrder.length > 5 ? '<li>...</li>' : ''}
                         </ol>
@@ -350,7 +350,7 @@ class MenuCustomizer {
             case 'add':
                 return `
                     <div class="ztgi-proposal-item">
-                        <strong>New item:</strong> ${proposal.data.item.label}
+                        <strong>New item:</strong> ${this.ztgi.utils.renderIcon(proposal.data.item.icon, this.ztgi.baseUrl)}${this.ztgi.utils.escapeHtml(proposal.data.item.label)}
                     </div>
                 `;
 
@@ -360,7 +360,7 @@ class MenuCustomizer {
                         <strong>Unused items (${proposal.data.unusedItems.length}):</strong>
                         <ul>
                             ${proposal.data.unusedItems.slice(0, 5).map(action =>
-                                `<li>${action}</li>`
+                                `<li>${this.describeAction(proposal.menuType, action)}</li>`
                             ).join('')}
                             ${proposal.data.unusedItems.length > 5 ? '<li>...</li>' : ''}
                         </ul>
@@ -372,74 +372,99 @@ class MenuCustomizer {
         }
     }
 
+    /**
+     * Render a menu action as its icon and label (falls back to the action id),
+     * escaped for markup
+     */
+    describeAction(menuType, action) {
+        const { renderIcon, escapeHtml } = this.ztgi.utils;
+        const items = this.ztgi.contextMenu.menus[menuType] || [];
+        const item = items.find(i => i.action === action && i.label);
+        if (!item) return escapeHtml(action);
+        return `${renderIcon(item.icon, this.ztgi.baseUrl)}${escapeHtml(item.label)}`;
+    }
+
     /**
      * Apply approved change
      */
     applyApprovedChange(proposal) {
-        switch (proposal.type) {
-            case 'reorder':
-                this.applyReorder(proposal);
-                break;
-            case 'add':
-                this.applyAdd(proposal);
-                break;
-            case 'remove':
-                this.applyRemove(proposal);
-                break;
-        }
-
-        // Store the change
+        // Changes are layered onto the base menu by the resolver registered
+        // in applyStoredCustomizations(), so only the record is stored here
         this.appliedChanges.push(proposal);
         this.saveAppliedChanges();
 
+        // Let the user take it back (Ctrl+Z or the toast's Undo button)
+        this.ztgi.actions.record({
+            action: `menu.${proposal.type}`,
+            label: `${this.getProposalTitle(proposal.type)} (${proposal.menuType})`,
+            undo: () => this.revertChange(proposal),
+            redo: () => {
+                this.appliedChanges.push(proposal);
+                this.saveAppliedChanges();
+            }
+        });
+
         // Notify
         console.log(`[MenuCustomizer] Applied: ${proposal.type} on ${proposal.menuType}`);
     }
 
     /**
-     * Apply reorder change
+     * Revert an applied change
      */
-    applyReorder(proposal) {
-        const menuType = proposal.menuType;
-        const proposedOrder = proposal.data.proposedOrder;
-
-        const currentMenu = this.ztgi.contextMenu.menus[menuType] || [];
-
-        // Create map of items by action
-        const itemMap = new Map();
-        for (const item of currentMenu) {
-            if (!item.divider) {
-                itemMap.set(item.action, item);
-            }
-        }
+    revertChange(proposal) {
+        this.appliedChanges = this.appliedChanges.filter(change => change !== proposal);
+        this.saveAppliedChanges();
 
-        // Build new menu in proposed order
-        const newMenu = [];
-        for (const action of proposedOrder) {
-            if (itemMap.has(action)) {
-                newMenu.push(itemMap.get(action));
-                itemMap.delete(action);
-            }
-        }
+        console.log(`[MenuCustomizer] Reverted: ${proposal.type} on ${proposal.menuType}`);
+    }
 
-        // Add any remaining items
-        for (const item of itemMap.values()) {
-            newMenu.push(item);
-        }
+    /**
+     * Apply all approved changes for a menu type to its items
+     */
+    applyChanges(menuType, items) {
+        return this.appliedChanges
+            .filter(change => change.status === 'approved' && change.menuType === menuType)
+            .reduce((current, change) => {
+                switch (change.type) {
+                    case 'reorder':
+                        return this.applyReorder(current, change);
+                    case 'add':
+                        return this.applyAdd(current, change);
+                    case 'remove':
+                        return this.applyRemove(current, change);
+                    default:
+                        return current;
+                }
+            }, items);
+    }
 
-        // Update the menu
-        this.ztgi.contextMenu.menus[menuType] = newMenu;
+    /**
+     * Apply reorder change
+     */
+    applyReorder(items, proposal) {
+        const rank = new Map(proposal.data.proposedOrder.map((action, i) => [action, i]));
+        const rankOf = item => (rank.has(item.action) ? rank.get(item.action) : rank.size);
+
+        // Dividers and provider entries stay in place; the other items fill
+        // the remaining slots in the proposed order. Ties keep their order, so
+        // items sharing an action (with different data) are all kept.
+        const isFixed = item => item.divider || item.provider;
+        const ordered = items
+            .filter(item => !isFixed(item))
+            .map((item, index) => ({ item, index }))
+            .sort((a, b) => rankOf(a.item) - rankOf(b.item) || a.index - b.index)
+            .map(({ item }) => item);
+
+        return items.map(item => (isFixed(item) ? item : ordered.shift()));
     }
 
     /**
      * Apply add change
      */
-    applyAdd(proposal) {
-        const menuType = proposal.menuType;
+    applyAdd(items, proposal) {
         const item = proposal.data.item;
         const position = proposal.data.position;
-
-        const menu = this.ztgi.contextMenu.menus[menuType] || [];
+        const menu = [...items];
 
         if (position === 'start') {
             menu.unshift(item);
@@ -449,28 +474,30 @@ class MenuCustomizer {
             menu.push(item);
         }
 
-        this.ztgi.contextMenu.menus[menuType] = menu;
+        return menu;
     }
 
     /**
      * Apply remove change
      */
-    applyRemove(proposal) {
-        const menuType = proposal.menuType;
+    applyRemove(items, proposal) {
         const unusedItems = new Set(proposal.data.unusedItems);
 
-        const menu = this.ztgi.contextMenu.menus[menuType] || [];
-
         // Mark items as hidden rather than removing
         // This preserves them for potential re-enabling
-        const newMenu = menu.map(item => {
+        return items.map(item => {
             if (!item.divider && unusedItems.has(item.action)) {
                 return { ...item, hidden: true };
             }
             return item;
         });
+    }
 
-        this.ztgi.contextMenu.menus[menuType] = newMenu;
+    /**
+     * Get the items of a menu as currently shown, minus dynamic entries
+     */
+    getCustomizableItems(menuType) {
+        return this.ztgi.contextMenu.resolveMenu(menuType).filter(item => !item.provider);
     }
 
     /**
@@ -507,11 +534,9 @@ class MenuCustomizer {
      * Apply stored customizations on init
      */
     applyStoredCustomizations() {
-        for (const change of this.appliedChanges) {
-            if (change.status === 'approved') {
-                this.applyApprovedChange(change);
-            }
-        }
+        this.ztgi.contextMenu.addResolver((items, context) => {
+            return this.applyChanges(context.type, items);
+        });
     }
 
     /**
@@ -521,13 +546,6 @@ class MenuCustomizer {
         this.appliedChanges = [];
         localStorage.removeItem(this.localStorageKey);
 
-        // Reload original config
-        if (this.ztgi.config && this.ztgi.config.contextMenus) {
-            for (const [type, items] of Object.entries(this.ztgi.config.contextMenus)) {
-                this.ztgi.contextMenu.menus[type] = [...items];
-            }
-        }
-
         console.log('[MenuCustomizer] Customizations reset');
     }
 
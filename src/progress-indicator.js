@@ -0,0 +1,169 @@
+/**
+ * Progress Indicator
+ *
+ * Shows a small status pill while actions are running (after a short delay,
+ * so quick actions don't flash it), with a Cancel button. Esc cancels the most
+ * recent run while the pill is visible.
+ *
+ * Usage:
+ *   const progress = new ProgressIndicator(ztgiInstance);
+ *   progress.init();
+ */
+
+import { showToast } from './utils.js';
+
+class ProgressIndicator {
+    constructor(ztgiInstance) {
+        this.ztgi = ztgiInstance;
+        this.element = null;
+        this.showDelay = 300;
+        this.showTimer = null;
+        this.visible = false;
+    }
+
+    /**
+     * Initialize the indicator
+     */
+    init() {
+        this.addStyles();
+        this.createElement();
+
+        document.addEventListener('ztgi:action', (e) => {
+            if (e.detail.phase === 'cancel') {
+                showToast(`Cancelled: ${this.ztgi.actions.getMeta(e.detail.action).label || e.detail.action}`);
+            }
+            this.update();
+        });
+
+        // Esc cancels while something is visibly running. As a shortcut scope
+        // above the global bindings, the same Esc doesn't also reset the cursor
+        // mode; open menus and panels still take it first.
+        this.ztgi.keyboard.defineScope('progress', {
+            label: 'While an action is running',
+            priority: 250,
+            when: () => this.visible
+        });
+        this.ztgi.keyboard.register('escape', () => this.ztgi.actions.cancel(), {
+            scope: 'progress',
+            description: 'Cancel the running action'
+        });
+
+        return this;
+    }
+
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'ztgi-progress';
+        this.element.setAttribute('role', 'status');
+        this.element.setAttribute('aria-live', 'polite');
+        this.element.style.display = 'none';
+        this.element.innerHTML = `
+            <span class="ztgi-progress-spinner" aria-hidden="true"></span>
+            <span class="ztgi-progress-label"></span>
+            <button class="ztgi-progress-cancel" title="Cancel (Esc)">Cancel</button>
+        `;
+        this.element.querySelector('.ztgi-progress-cancel').onclick = () => this.ztgi.actions.cancel();
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Sync with the router's running actions
+     */
+    update() {
+        const running = this.ztgi.actions.getRunning();
+
+        if (running.length === 0) {
+            clearTimeout(this.showTimer);
+            this.showTimer = null;
+            this.hide();
+            return;
+        }
+
+        const latest = running[running.length - 1];
+        const others = running.length > 1 ? ` (+${running.length - 1} more)` : '';
+        this.element.querySelector('.ztgi-progress-label').textContent = `${latest.label}…${others}`;
+
+        if (!this.visible && !this.showTimer) {
+            this.showTimer = setTimeout(() => {
+                this.showTimer = null;
+                if (this.ztgi.actions.getRunning().length > 0) this.show();
+            }, this.showDelay);
+        }
+    }
+
+    show() {
+        this.visible = true;
+        this.element.style.display = 'flex';
+    }
+
+    hide() {
+        this.visible = false;
+        this.element.style.display = 'none';
+    }
+
+    /**
+     * Add CSS styles
+     */
+    addStyles() {
+        if (document.getElementById('ztgi-progress-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'ztgi-progress-styles';
+        style.textContent = `
+            .ztgi-progress {
+                position: fixed;
+                top: 16px;
+                left: 50%;
+                transform: translateX(-50%);
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                padding: 8px 10px 8px 14px;
+                background: #1e1e1e;
+                border: 1px solid #3a3a3a;
+                border-radius: 20px;
+                box-shadow: 0 4px 16px rgba(0,0,0,0.3);
+                color: #e0e0e0;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+                font-size: 13px;
+                z-index: 10002;
+            }
+            .ztgi-progress-spinner {
+                width: 14px;
+                height: 14px;
+                border: 2px solid #3a3a3a;
+                border-top-color: #4a9eff;
+                border-radius: 50%;
+                animation: ztgi-progress-spin 0.8s linear infinite;
+            }
+            @keyframes ztgi-progress-spin {
+                to { transform: rotate(360deg); }
+            }
+            .ztgi-progress-cancel {
+                padding: 4px 10px;
+                background: #333;
+                border: none;
+                border-radius: 12px;
+                color: #ccc;
+                font-size: 12px;
+                cursor: pointer;
+            }
+            .ztgi-progress-cancel:hover {
+                background: #444;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        clearTimeout(this.showTimer);
+        if (this.element) this.element.remove();
+        const styles = document.getElementById('ztgi-progress-styles');
+        if (styles) styles.remove();
+    }
+}
+
+export { ProgressIndicator };
@@ -0,0 +1,129 @@
+/**
+ * ZTGI Selection Manager
+ * Tracks the set of selected [data-context] elements
+ *
+ * Usage:
+ *   // Cursor modes with `selection: true` toggle items on click:
+ *   ZtgiUI.cursor.registerMode('select', { cursor: '/cursors/select.svg', selection: true });
+ *
+ *   ZtgiUI.selection.toggle(element);
+ *   ZtgiUI.selection.getData();   // [{ context: 'cnp-entry', hash8: '...' }, ...]
+ *   ZtgiUI.selection.clear();      // also cleared when a selection mode exits
+ *
+ *   document.addEventListener('ztgi:selectionchange', (e) => {
+ *     console.log(e.detail.count);
+ *   });
+ */
+
+import { findContextParent } from './utils.js';
+
+class SelectionManager {
+    constructor() {
+        this.selected = new Set();
+        this.cursor = null;
+    }
+
+    init(cursor) {
+        this.cursor = cursor;
+
+        // Toggle selection on click while a selection cursor mode is active
+        document.addEventListener('click', (e) => {
+            if (!this.isSelectionMode()) return;
+
+            const el = findContextParent(e.target);
+            if (!el) return;
+
+            e.preventDefault();
+            this.toggle(el);
+        });
+
+        // Leaving a selection mode drops the selection, so the bulk menu goes with it
+        let selectionMode = this.isSelectionMode();
+        document.addEventListener('ztgi:cursormode', () => {
+            const wasSelectionMode = selectionMode;
+            selectionMode = this.isSelectionMode();
+            if (wasSelectionMode && !selectionMode) this.clear();
+        });
+    }
+
+    isSelectionMode() {
+        if (!this.cursor) return false;
+        const mode = this.cursor.modes[this.cursor.getMode()];
+        return !!(mode && mode.selection);
+    }
+
+    select(el) {
+        if (this.selected.has(el)) return;
+        this.selected.add(el);
+        el.classList.add('ztgi-selected');
+        el.setAttribute('aria-selected', 'true');
+        this.emitChange();
+    }
+
+    deselect(el) {
+        if (!this.selected.delete(el)) return;
+        el.classList.remove('ztgi-selected');
+        el.removeAttribute('aria-selected');
+        this.emitChange();
+    }
+
+    toggle(el) {
+        if (this.selected.has(el)) {
+            this.deselect(el);
+        } else {
+            this.select(el);
+        }
+    }
+
+    // Replace the selection with the given elements
+    set(elements) {
+        this.clear({ silent: true });
+        elements.forEach(el => {
+            this.selected.add(el);
+            el.classList.add('ztgi-selected');
+            el.setAttribute('aria-selected', 'true');
+        });
+        this.emitChange();
+    }
+
+    clear({ silent = false } = {}) {
+        if (this.selected.size === 0) return;
+        this.selected.forEach(el => {
+            el.classList.remove('ztgi-selected');
+            el.removeAttribute('aria-selected');
+        });
+        this.selected.clear();
+        if (!silent) this.emitChange();
+    }
+
+    isSelected(el) {
+        return this.selected.has(el);
+    }
+
+    // Selected elements still in the document, in document order
+    getSelected() {
+        for (const el of this.selected) {
+            if (!el.isConnected) this.selected.delete(el);
+        }
+        return Array.from(this.selected).sort((a, b) => {
+            return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+        });
+    }
+
+    getData() {
+        return this.getSelected().map(el => ({ ...el.dataset }));
+    }
+
+    get count() {
+        return this.getSelected().length;
+    }
+
+    emitChange() {
+        const selected = this.getSelected();
+        document.dispatchEvent(new CustomEvent('ztgi:selectionchange', {
+            detail: { selected, count: selected.length }
+        }));
+    }
+}
+
+export { SelectionManager };
@@ -6,7 +6,7 @@
  *   ZtgiUI.settings.open()   // Open settings panel
  *   ZtgiUI.settings.close()  // Close settings panel
  *
- * Keyboard: Press '?' or Ctrl+, to open settings
+ * Keyboard: Press Ctrl+, (Cmd+, on Mac) to open settings ('?' shows the shortcut cheat sheet)
  */
 
 class SettingsPanel {
@@ -14,20 +14,32 @@ class SettingsPanel {
         this.ztgi = ztgiInstance;
         this.panel = null;
         this.isOpen = false;
+        this.cancelRecording = null;
         this.userConfig = this.loadUserConfig();
     }
 
     init() {
         this.createPanel();
         this.bindKeyboard();
+
+        // User rebindings; they also apply to shortcuts registered later
+        this.ztgi.keyboard.setOverrides(this.userConfig.customShortcuts || {});
+
+        // Hide user-disabled items whenever a menu is resolved
+        this.ztgi.contextMenu.addResolver((items, context) => {
+            return items.filter(item => {
+                if (item.divider || item.provider) return true;
+                return !this.isItemDisabled(context.type, item.action);
+            });
+        });
     }
 
     loadUserConfig() {
         try {
             const saved = localStorage.getItem('ztgi-ui-config');
-            return saved ? JSON.parse(saved) : { disabledMenuItems: {}, customShortcuts: {} };
+            return saved ? JSON.parse(saved) : { disabledMenuItems: {}, customShortcuts: {}, skippedConfirms: {} };
         } catch (e) {
-            return { disabledMenuItems: {}, customShortcuts: {} };
+            return { disabledMenuItems: {}, customShortcuts: {}, skippedConfirms: {} };
         }
     }
 
@@ -49,12 +61,14 @@ class SettingsPanel {
                     <button class="ztgi-tab active" data-tab="menus">Context Menus</button>
                     <button class="ztgi-tab" data-tab="shortcuts">Shortcuts</button>
                     <button class="ztgi-tab" data-tab="cursors">Cursor Modes</button>
+                    <button class="ztgi-tab" data-tab="macros">Macros</button>
                     <button class="ztgi-tab" data-tab="preview">Preview</button>
                 </div>
                 <div class="ztgi-settings-body">
                     <div class="ztgi-tab-content active" data-tab="menus"></div>
                     <div class="ztgi-tab-content" data-tab="shortcuts"></div>
                     <div class="ztgi-tab-content" data-tab="cursors"></div>
+                    <div class="ztgi-tab-content" data-tab="macros"></div>
                     <div class="ztgi-tab-content" data-tab="preview"></div>
                 </div>
                 <div class="ztgi-settings-footer">
@@ -317,6 +331,17 @@ class SettingsPanel {
                 font-size: 13px;
             }
 
+            .ztgi-menu-item-description {
+                display: block;
+                color: #888;
+                font-size: 11px;
+                margin-top: 2px;
+            }
+
+            .ztgi-menu-item-row .ztgi-icon {
+                margin-right: 0;
+            }
+
             .ztgi-menu-item-action {
                 color: #888;
                 font-size: 11px;
@@ -346,6 +371,41 @@ class SettingsPanel {
                 background: #2a2a2a;
             }
 
+            .ztgi-shortcut-row .ztgi-btn {
+                padding: 4px 10px;
+                font-size: 12px;
+            }
+
+            .ztgi-shortcut-key.recording {
+                border-color: #4a9eff;
+                color: #4a9eff;
+            }
+
+            .ztgi-shortcut-conflict {
+                margin: 0 12px 8px;
+                padding: 10px 12px;
+                background: #2a2a2a;
+                border-left: 3px solid #d9822b;
+                border-radius: 4px;
+                color: #ccc;
+                font-size: 13px;
+            }
+
+            .ztgi-shortcut-conflict ul {
+                margin: 0 0 8px;
+                padding-left: 18px;
+            }
+
+            .ztgi-shortcut-scope {
+                margin-left: auto;
+                padding: 2px 8px;
+                background: #2a2a2a;
+                border: 1px solid #3a3a3a;
+                border-radius: 10px;
+                color: #4a9eff;
+                font-size: 11px;
+            }
+
             .ztgi-shortcut-key {
                 padding: 6px 12px;
                 background: #333;
@@ -446,6 +506,31 @@ class SettingsPanel {
                 color: #fff;
             }
 
+            .ztgi-preview-resolved {
+                list-style: none;
+                margin: 12px 0 0;
+                padding: 8px 0 0;
+                border-top: 1px solid #3a3a3a;
+                text-align: left;
+                font-size: 11px;
+                color: #bbb;
+            }
+
+            .ztgi-preview-resolved li {
+                padding: 2px 0;
+            }
+
+            .ztgi-preview-resolved li.disabled {
+                color: #666;
+            }
+
+            .ztgi-preview-resolved li.divider {
+                height: 1px;
+                padding: 0;
+                margin: 4px 0;
+                background: #3a3a3a;
+            }
+
             /* Help text */
             .ztgi-help-text {
                 color: #888;
@@ -461,18 +546,8 @@ class SettingsPanel {
     }
 
     bindKeyboard() {
+        // Opened with Ctrl/Cmd+, (registered with the KeyboardManager)
         document.addEventListener('keydown', (e) => {
-            // Open settings with ? or Ctrl+,
-            if (e.key === '?' && !e.ctrlKey && !e.metaKey) {
-                if (e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
-                    e.preventDefault();
-                    this.open();
-                }
-            }
-            if ((e.ctrlKey || e.metaKey) && e.key === ',') {
-                e.preventDefault();
-                this.open();
-            }
             // Close with Escape
             if (e.key === 'Escape' && this.isOpen) {
                 this.close();
@@ -484,6 +559,7 @@ class SettingsPanel {
         this.renderMenusTab();
         this.renderShortcutsTab();
         this.renderCursorsTab();
+        this.renderMacrosTab();
         this.renderPreviewTab();
         this.panel.classList.add('open');
         this.isOpen = true;
@@ -514,7 +590,9 @@ class SettingsPanel {
             </div>
         `;
 
-        for (const [menuType, items] of Object.entries(menus)) {
+        for (const [menuType, menuItems] of Object.entries(menus)) {
+            // Provider entries are computed at open time and can't be toggled
+            const items = menuItems.filter(i => !i.provider);
             const enabledCount = items.filter(i => !i.divider && !this.isItemDisabled(menuType, i.action)).length;
             const totalCount = items.filter(i => !i.divider).length;
 
@@ -527,16 +605,23 @@ class SettingsPanel {
                     <div class="ztgi-menu-items" data-menu="${menuType}">
             `;
 
+            // Items come from configs, providers and customizations, so as text only
+            const escape = this.ztgi.utils.escapeHtml;
             items.forEach(item => {
                 if (item.divider) return;
                 const disabled = this.isItemDisabled(menuType, item.action);
                 html += `
                     <div class="ztgi-menu-item-row">
                         <div class="ztgi-menu-item-toggle ${disabled ? '' : 'enabled'}"
-                             data-menu="${menuType}" data-action="${item.action}"></div>
-                        <span class="ztgi-menu-item-label">${item.label}</span>
-                        <span class="ztgi-menu-item-action">${item.action}</span>
-                        ${item.shortcut ? `<span class="ztgi-menu-item-shortcut">${item.shortcut}</span>` : ''}
+                             data-menu="${menuType}" data-action="${escape(item.action)}"></div>
+                        ${this.ztgi.utils.renderIcon(item.icon, this.ztgi.baseUrl)}
+                        <span class="ztgi-menu-item-label">
+                            ${escape(item.label)}
+                            ${item.description ? `<span class="ztgi-menu-item-description">${escape(item.description)}</span>` : ''}
+                        </span>
+                        ${this.isStaticBadge(item.badge) ? `<span class="ztgi-badge">${escape(item.badge)}</span>` : ''}
+                        <span class="ztgi-menu-item-action" title="${escape(this.describeParams(item.action))}">${escape(item.action)}</span>
+                        ${item.shortcut ? `<span class="ztgi-menu-item-shortcut">${escape(item.shortcut)}</span>` : ''}
                     </div>
                 `;
             });
@@ -570,34 +655,150 @@ class SettingsPanel {
 
     renderShortcutsTab() {
         const container = this.panel.querySelector('.ztgi-tab-content[data-tab="shortcuts"]');
-        const shortcuts = this.ztgi.keyboard.shortcuts;
-
-        let html = `
+        container.innerHTML = `
             <div class="ztgi-help-text">
-                Keyboard shortcuts for quick actions. Press the key to trigger the action.
+                Keyboard shortcuts for quick actions. Press the key to trigger the action, or
+                click Change and press a new combo (keys pressed in turn make a sequence).
+            </div>
+            <div class="ztgi-shortcut-list"></div>
+            <div style="margin-top: 24px; padding-top: 16px; border-top: 1px solid #3a3a3a;">
+                <div class="ztgi-help-text">
+                    <strong>Tip:</strong> Press <kbd>?</kbd> anywhere for a searchable, printable cheat sheet of these shortcuts.
+                </div>
             </div>
         `;
 
-        for (const [combo, handler] of Object.entries(shortcuts)) {
-            const desc = this.getShortcutDescription(combo);
-            html += `
-                <div class="ztgi-shortcut-row">
-                    <span class="ztgi-shortcut-key">${this.formatKeyCombo(combo)}</span>
-                    <span class="ztgi-shortcut-desc">${desc}</span>
-                </div>
+        const list = container.querySelector('.ztgi-shortcut-list');
+        this.ztgi.keyboard.getBindings().forEach(binding => {
+            const { combo, scope, defaultCombo } = binding;
+            const row = document.createElement('div');
+            row.className = 'ztgi-shortcut-row';
+            row.innerHTML = `
+                <span class="ztgi-shortcut-key">${this.formatKeyCombo(combo)}</span>
+                <span class="ztgi-shortcut-desc"></span>
+                ${scope === 'global' ? '' : `<span class="ztgi-shortcut-scope" title="Only while ${scope} is active">${scope}</span>`}
+                <button class="ztgi-btn" data-shortcut-record>Change</button>
+                ${this.ztgi.keyboard.isOverridden(defaultCombo, scope)
+                    ? `<button class="ztgi-btn" data-shortcut-reset title="Back to ${this.formatKeyCombo(defaultCombo)}">Reset</button>`
+                    : ''}
             `;
+            row.querySelector('.ztgi-shortcut-desc').textContent = this.getShortcutDescription(combo, scope);
+            row.querySelector('[data-shortcut-record]').addEventListener('click', () => {
+                if (this.cancelRecording) {
+                    this.cancelRecording();
+                } else {
+                    this.recordShortcut(row, binding);
+                }
+            });
+            const reset = row.querySelector('[data-shortcut-reset]');
+            if (reset) reset.addEventListener('click', () => this.changeShortcut(binding, null));
+            list.appendChild(row);
+        });
+    }
+
+    /**
+     * Capture a new combo for a binding. Keys pressed within the sequence
+     * timeout of each other form a sequence; Esc cancels.
+     */
+    recordShortcut(row, binding) {
+        const keyboard = this.ztgi.keyboard;
+        const keyLabel = row.querySelector('.ztgi-shortcut-key');
+        const button = row.querySelector('[data-shortcut-record]');
+        const keys = [];
+        let timer = null;
+
+        keyLabel.textContent = 'Press keys…';
+        keyLabel.classList.add('recording');
+        button.textContent = 'Cancel';
+
+        const stop = () => {
+            clearTimeout(timer);
+            this.cancelRecording = null;
+            button.removeEventListener('keydown', onKeydown);
+            button.removeEventListener('blur', cancel);
+        };
+        const cancel = () => {
+            stop();
+            this.renderShortcutsTab();
+        };
+        // Keys stay here so neither the panel nor global shortcuts see them
+        const onKeydown = (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (e.key === 'Escape') return cancel();
+            if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return;
+
+            keys.push(keyboard.getBindingKey(e));
+            keyLabel.textContent = `${this.formatKeyCombo(keys.join(' '))} …`;
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                stop();
+                this.proposeShortcut(row, binding, keys.join(' '));
+            }, keyboard.sequenceTimeout);
+        };
+
+        this.cancelRecording = cancel;
+        button.addEventListener('keydown', onKeydown);
+        button.addEventListener('blur', cancel);
+        button.focus();
+    }
+
+    // Check a recorded combo for conflicts; apply it or ask first
+    proposeShortcut(row, binding, combo) {
+        const keyboard = this.ztgi.keyboard;
+        if (combo === binding.combo) return this.renderShortcutsTab();
+
+        const conflicts = keyboard.getConflicts(combo, binding.scope, binding.defaultCombo);
+        const blocked = conflicts.find(c => c.type === 'browser' && c.blocked);
+        if (blocked) {
+            this.renderShortcutsTab();
+            this.ztgi.utils.showToast(`${this.formatKeyCombo(combo)} is reserved by the browser (${blocked.label})`);
+            return;
         }
 
-        // Add common shortcuts hint
-        html += `
-            <div style="margin-top: 24px; padding-top: 16px; border-top: 1px solid #3a3a3a;">
-                <div class="ztgi-help-text">
-                    <strong>Tip:</strong> Press <kbd>?</kbd> anywhere to open this settings panel.
-                </div>
-            </div>
+        const warnings = conflicts.map(conflict => {
+            const other = conflict.binding;
+            const desc = other && this.getShortcutDescription(other.combo, other.scope);
+            switch (conflict.type) {
+                case 'browser':
+                    return `Replaces the browser's ${conflict.label} shortcut`;
+                case 'binding':
+                    return `Used by "${desc}", which moves to ${this.formatKeyCombo(binding.combo)}`;
+                case 'prefix':
+                    return `Shares keys with ${this.formatKeyCombo(other.combo)} ("${desc}"); the shorter one waits for the sequence timeout`;
+                default:
+                    return `Also "${desc}" in ${other.scope}`;
+            }
+        });
+        if (warnings.length === 0) return this.changeShortcut(binding, combo);
+
+        row.querySelector('.ztgi-shortcut-key').textContent = this.formatKeyCombo(combo);
+        const message = document.createElement('div');
+        message.className = 'ztgi-shortcut-conflict';
+        message.innerHTML = `
+            <ul></ul>
+            <button class="ztgi-btn primary" data-shortcut-apply>Use ${this.formatKeyCombo(combo)}</button>
+            <button class="ztgi-btn" data-shortcut-cancel>Cancel</button>
         `;
+        warnings.forEach(warning => {
+            const item = document.createElement('li');
+            item.textContent = warning;
+            message.querySelector('ul').appendChild(item);
+        });
+        message.querySelector('[data-shortcut-apply]').addEventListener('click', () => this.changeShortcut(binding, combo));
+        message.querySelector('[data-shortcut-cancel]').addEventListener('click', () => this.renderShortcutsTab());
+        row.after(message);
+        message.querySelector('[data-shortcut-apply]').focus();
+    }
 
-        container.innerHTML = html;
+    // Rebind (null resets to the default) and persist the overrides
+    changeShortcut(binding, combo) {
+        this.ztgi.keyboard.rebind(binding.defaultCombo, combo, binding.scope);
+        this.userConfig.customShortcuts = this.ztgi.keyboard.getOverrides();
+        this.saveUserConfig();
+        this.renderShortcutsTab();
+        const current = this.ztgi.keyboard.resolveCombo(binding.defaultCombo, binding.scope);
+        this.ztgi.utils.showToast(`${this.getShortcutDescription(current, binding.scope)}: ${this.formatKeyCombo(current)}`);
     }
 
     renderCursorsTab() {
@@ -640,6 +841,58 @@ class SettingsPanel {
         });
     }
 
+    renderMacrosTab() {
+        const container = this.panel.querySelector('.ztgi-tab-content[data-tab="macros"]');
+        const recorder = this.ztgi.macros;
+        if (!recorder) return;
+
+        container.innerHTML = `
+            <div class="ztgi-help-text">
+                Record a sequence of actions with <kbd>${this.formatKeyCombo(this.ztgi.keyboard.resolveCombo('ctrl+alt+m') || 'ctrl+alt+m')}</kbd>, then replay it on the
+                selected element(s) from its shortcut or the command palette.
+            </div>
+            <div class="ztgi-macro-list"></div>
+            <button class="ztgi-btn" data-macro-record>${recorder.recording ? 'Stop Recording' : 'Record New Macro'}</button>
+        `;
+
+        const list = container.querySelector('.ztgi-macro-list');
+        const macros = recorder.getMacros();
+        if (macros.length === 0) {
+            list.innerHTML = '<div class="ztgi-help-text">No macros yet.</div>';
+        }
+
+        macros.forEach(macro => {
+            const row = document.createElement('div');
+            row.className = 'ztgi-shortcut-row';
+            row.innerHTML = `
+                <span class="ztgi-shortcut-key">${macro.shortcut ? this.formatKeyCombo(this.ztgi.keyboard.resolveCombo(macro.shortcut) || macro.shortcut) : '—'}</span>
+                <span class="ztgi-shortcut-desc"></span>
+                <button class="ztgi-btn" data-macro-play>Play</button>
+                <button class="ztgi-btn" data-macro-copy title="Copy as app config JSON">Copy Config</button>
+                <button class="ztgi-btn" data-macro-delete>Delete</button>
+            `;
+            row.querySelector('.ztgi-shortcut-desc').textContent =
+                `${macro.name} (${macro.steps.length} step${macro.steps.length === 1 ? '' : 's'})`;
+
+            row.querySelector('[data-macro-play]').addEventListener('click', () => {
+                this.close();
+                recorder.play(macro.id);
+            });
+            row.querySelector('[data-macro-copy]').addEventListener('click', () => recorder.copyConfigSnippet(macro.id));
+            row.querySelector('[data-macro-delete]').addEventListener('click', () => {
+                recorder.remove(macro.id);
+                this.renderMacrosTab();
+            });
+            list.appendChild(row);
+        });
+
+        container.querySelector('[data-macro-record]').addEventListener('click', () => {
+            // Close so the recorded actions happen on the page itself
+            this.close();
+            recorder.toggle();
+        });
+    }
+
     renderPreviewTab() {
         const container = this.panel.querySelector('.ztgi-tab-content[data-tab="preview"]');
 
@@ -666,6 +919,25 @@ class SettingsPanel {
                 </div>
             </div>
         `;
+
+        // Show the resolved menu for each box (settings, customizations, conditions applied)
+        container.querySelectorAll('.ztgi-preview-box').forEach(box => {
+            const items = this.ztgi.contextMenu.resolveMenu(box.dataset.context, box);
+            const list = document.createElement('ul');
+            list.className = 'ztgi-preview-resolved';
+            list.innerHTML = items.map(item => {
+                if (item.divider) return '<li class="divider"></li>';
+                if (item.provider) return '<li class="disabled">(dynamic items)</li>';
+                return `<li class="${item.disabled ? 'disabled' : ''}">${this.ztgi.utils.renderIcon(item.icon, this.ztgi.baseUrl)}${this.ztgi.utils.escapeHtml(item.label)}</li>`;
+            }).join('') || '<li class="disabled">(no items)</li>';
+            box.appendChild(list);
+        });
+    }
+
+    // Dynamic badges depend on the target element, so only static ones are shown here
+    isStaticBadge(badge) {
+        if (badge === undefined || badge === null || badge === '') return false;
+        return typeof badge === 'number' || (typeof badge === 'string' && !badge.includes('{'));
     }
 
     formatMenuType(type) {
@@ -676,28 +948,54 @@ class SettingsPanel {
             .join(' ');
     }
 
+    // ⌘⇧K on macOS, Ctrl+Shift+K elsewhere; sequences ('g i') show each key in turn
     formatKeyCombo(combo) {
-        return combo
-            .replace('ctrl', '⌃')
-            .replace('alt', '⌥')
-            .replace('shift', '⇧')
-            .replace('escape', 'Esc')
-            .replace(/\+/g, ' ')
-            .toUpperCase();
+        const keyboard = this.ztgi.keyboard;
+        const modifiers = keyboard.isMac
+            ? { ctrl: '⌃', meta: '⌘', alt: '⌥', shift: '⇧' }
+            : { ctrl: 'Ctrl', meta: 'Meta', alt: 'Alt', shift: 'Shift' };
+        const keys = {
+            escape: 'Esc', enter: keyboard.isMac ? '↩' : 'Enter', space: 'Space', tab: 'Tab',
+            backspace: keyboard.isMac ? '⌫' : 'Backspace', delete: 'Del',
+            up: '↑', down: '↓', left: '←', right: '→'
+        };
+
+        return combo.split(' ').map(part => {
+            const parsed = keyboard.parseCombo(part);
+            const names = parsed.modifiers.map(modifier => modifiers[modifier]);
+            const key = keys[parsed.key] || (parsed.key.length === 1
+                ? parsed.key.toUpperCase()
+                : `${parsed.key.charAt(0).toUpperCase()}${parsed.key.slice(1)}`);
+            return keyboard.isMac ? `${names.join('')}${key}` : [...names, key].join('+');
+        }).join(' then ');
     }
 
-    getShortcutDescription(combo) {
-        const map = {
-            'c': 'Activate chain/connect mode',
-            'a': 'Activate agent mode',
-            'p': 'Activate copy mode',
-            's': 'Activate select mode',
-            'escape': 'Return to default cursor',
-            'ctrl+f': 'Search',
-            'ctrl+k': 'Quick action',
-            '?': 'Open settings panel'
-        };
-        return map[combo] || 'Custom action';
+    getShortcutDescription(combo, scope = 'global') {
+        const bindings = this.ztgi.keyboard.scopes[scope];
+        const meta = (bindings && bindings.meta[combo]) || {};
+        if (meta.description) return meta.description;
+        if (!meta.action) return 'Custom action';
+
+        const label = this.ztgi.actions.getMeta(meta.action).label;
+        if (label) return label;
+
+        // cursor.<mode> actions switch cursor modes
+        const mode = meta.action.startsWith('cursor.') ? meta.action.slice('cursor.'.length) : null;
+        if (mode === 'default') return 'Return to default cursor';
+        if (mode && this.ztgi.cursor.modes[mode]) {
+            const hint = this.ztgi.cursor.modes[mode].hint;
+            return `${mode.charAt(0).toUpperCase()}${mode.slice(1)} mode${hint ? ` (${hint.toLowerCase()})` : ''}`;
+        }
+        return meta.action;
+    }
+
+    // "Needs data-hash8 (string)" style summary of an action's params
+    describeParams(action) {
+        const { params, source } = this.ztgi.actions.describe(action);
+        if (params.length === 0) return `${source} action, no parameters`;
+        return params
+            .map(p => `${p.required ? 'Needs' : 'Optional'} ${p.attribute} (${p.type})`)
+            .join('; ');
     }
 
     isItemDisabled(menuType, action) {
@@ -720,28 +1018,41 @@ class SettingsPanel {
         this.ztgi.utils.showToast('Settings saved');
     }
 
-    resetConfig() {
-        if (confirm('Reset all settings to defaults?')) {
-            this.userConfig = { disabledMenuItems: {}, customShortcuts: {} };
+    async resetConfig() {
+        const confirmed = await this.ztgi.confirm({
+            title: 'Reset Settings',
+            message: 'Reset all settings to defaults? Hidden menu items, custom shortcuts and skipped confirmations will be restored.',
+            risk: 'medium',
+            confirmLabel: 'Reset'
+        });
+        if (confirmed) {
+            this.userConfig = { disabledMenuItems: {}, customShortcuts: {}, skippedConfirms: {} };
             this.saveUserConfig();
+            this.ztgi.keyboard.setOverrides({});
             this.renderMenusTab();
+            this.renderShortcutsTab();
             this.ztgi.utils.showToast('Settings reset');
         }
     }
 
+    // "Don't ask again" choices from action confirmations
+    isConfirmSkipped(action) {
+        return !!(this.userConfig.skippedConfirms && this.userConfig.skippedConfirms[action]);
+    }
+
+    skipConfirm(action) {
+        this.userConfig.skippedConfirms = { ...this.userConfig.skippedConfirms, [action]: true };
+        this.saveUserConfig();
+    }
+
     applyConfig() {
-        // Filter out disabled menu items
-        // This modifies the active menus based on user config
-        // Note: This is applied at runtime, not stored in config files
+        // Disabled items are filtered by the context menu resolver registered
+        // in init(), so there is nothing to rebuild here
     }
 
-    // Get filtered menu items (used by context menu)
+    // Get filtered menu items (resolved through the context menu pipeline)
     getFilteredMenuItems(menuType) {
-        const items = this.ztgi.contextMenu.menus[menuType] || [];
-        return items.filter(item => {
-            if (item.divider) return true;
-            return !this.isItemDisabled(menuType, item.action);
-        });
+        return this.ztgi.contextMenu.resolveMenu(menuType);
     }
 }
 
@@ -0,0 +1,425 @@
+/**
+ * Shortcut Help
+ *
+ * Cheat sheet of every registered keyboard shortcut, opened with '?'. Built
+ * from KeyboardManager's bindings each time it opens, grouped by scope and
+ * then by where the binding came from (the app config, macros or ZTGI-UI
+ * itself), with descriptions taken from the bound action's label. Cursor
+ * modes are listed with the keys that switch to them. The list can be
+ * searched and printed.
+ *
+ * Usage:
+ *   const help = new ShortcutHelp(ztgiInstance);
+ *   help.init();      // binds '?' and the 'shortcuts.help' action
+ *   help.open();
+ */
+
+class ShortcutHelp {
+    constructor(ztgiInstance) {
+        this.ztgi = ztgiInstance;
+        this.overlay = null;
+        this.body = null;
+        this.search = null;
+        this.isOpen = false;
+        this.returnFocus = null;
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize the cheat sheet
+     */
+    init() {
+        if (this.initialized) return this;
+
+        this.addStyles();
+        this.createOverlay();
+
+        this.ztgi.actions.register('shortcuts.help', () => this.open(), { label: 'Keyboard Shortcuts' });
+        this.ztgi.keyboard.register('?', () => this.toggle(), {
+            action: 'shortcuts.help',
+            description: 'Keyboard shortcuts'
+        });
+
+        this.initialized = true;
+        return this;
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'ztgi-help-overlay';
+        this.overlay.style.display = 'none';
+        this.overlay.innerHTML = `
+            <div class="ztgi-help" role="dialog" aria-modal="true" aria-labelledby="ztgi-help-title">
+                <div class="ztgi-help-header">
+                    <h2 id="ztgi-help-title">Keyboard Shortcuts</h2>
+                    <input type="search" class="ztgi-help-search" placeholder="Search shortcuts..." aria-label="Search shortcuts" />
+                    <button class="ztgi-help-btn" data-help-print title="Print">Print</button>
+                    <button class="ztgi-help-btn ztgi-help-close" title="Close (Esc)">×</button>
+                </div>
+                <div class="ztgi-help-body"></div>
+            </div>
+        `;
+        document.body.appendChild(this.overlay);
+
+        this.body = this.overlay.querySelector('.ztgi-help-body');
+        this.search = this.overlay.querySelector('.ztgi-help-search');
+
+        this.search.addEventListener('input', () => this.filter(this.search.value));
+        this.overlay.querySelector('[data-help-print]').onclick = () => window.print();
+        this.overlay.querySelector('.ztgi-help-close').onclick = () => this.close();
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+
+        // Keys stay inside the sheet; Esc closes, as does '?' outside the search box
+        this.overlay.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape' || (e.key === '?' && e.target !== this.search)) {
+                e.preventDefault();
+                this.close();
+            }
+        });
+    }
+
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (this.isOpen) return;
+
+        this.returnFocus = document.activeElement;
+        this.render();
+        this.search.value = '';
+        this.overlay.style.display = 'flex';
+        this.isOpen = true;
+        this.search.focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.overlay.style.display = 'none';
+        this.isOpen = false;
+        if (this.returnFocus && this.returnFocus.isConnected) this.returnFocus.focus({ preventScroll: true });
+        this.returnFocus = null;
+    }
+
+    /**
+     * Sections to show: one per scope with bindings (global first, then by
+     * precedence), each split into groups by source, then cursor modes
+     */
+    getSections() {
+        const keyboard = this.ztgi.keyboard;
+        const scopes = Object.values(keyboard.scopes).sort((a, b) => {
+            if (a.name === 'global') return -1;
+            if (b.name === 'global') return 1;
+            return b.priority - a.priority;
+        });
+
+        const sections = scopes.map(scope => {
+            const groups = {};
+            Object.keys(scope.shortcuts).forEach(combo => {
+                const meta = scope.meta[combo] || {};
+                const source = this.getSource(meta);
+                (groups[source] = groups[source] || []).push(this.describeBinding(combo, scope.name, meta));
+            });
+            return {
+                title: this.getScopeLabel(scope),
+                groups: Object.entries(groups).map(([title, rows]) => ({ title, rows }))
+            };
+        }).filter(section => section.groups.length > 0);
+
+        const modes = Object.entries(this.ztgi.cursor.modes)
+            .filter(([name]) => name !== 'default')
+            .map(([name, mode]) => ({
+                combo: keyboard.getComboForAction(`cursor.${name}`),
+                description: `${name.charAt(0).toUpperCase()}${name.slice(1)} mode`,
+                detail: mode.hint || ''
+            }));
+        if (modes.length > 0) {
+            sections.push({ title: 'Cursor modes', groups: [{ title: null, rows: modes }] });
+        }
+
+        return sections;
+    }
+
+    getScopeLabel(scope) {
+        if (scope.name === 'global') return 'Everywhere';
+        if (scope.label) return scope.label;
+        const name = `${scope.name.charAt(0).toUpperCase()}${scope.name.slice(1)}`;
+        return scope.element || scope.selector ? `${name} (when focused)` : name;
+    }
+
+    // Config shortcuts carry the app name; macros and built-ins don't
+    getSource(meta) {
+        if (meta.app) return meta.app;
+        if (meta.action && meta.action.startsWith('macro.')) return 'Macros';
+        return 'ZTGI-UI';
+    }
+
+    describeBinding(combo, scope, meta) {
+        const description = this.ztgi.settings.getShortcutDescription(combo, scope);
+        const actionMeta = meta.action ? this.ztgi.actions.getMeta(meta.action) : {};
+        // Show the action's own description, or its name when the label was derived
+        const detail = actionMeta.description || (meta.action && meta.action !== description ? meta.action : '');
+        return { combo, description, detail };
+    }
+
+    render() {
+        this.body.innerHTML = '';
+
+        this.getSections().forEach(section => {
+            const sectionEl = document.createElement('section');
+            sectionEl.className = 'ztgi-help-section';
+            const heading = document.createElement('h3');
+            heading.textContent = section.title;
+            sectionEl.appendChild(heading);
+
+            section.groups.forEach(group => {
+                const groupEl = document.createElement('div');
+                groupEl.className = 'ztgi-help-group';
+                if (group.title) {
+                    const title = document.createElement('h4');
+                    title.textContent = group.title;
+                    groupEl.appendChild(title);
+                }
+                group.rows.forEach(row => groupEl.appendChild(this.renderRow(row)));
+                sectionEl.appendChild(groupEl);
+            });
+
+            this.body.appendChild(sectionEl);
+        });
+
+        const empty = document.createElement('div');
+        empty.className = 'ztgi-help-empty';
+        empty.textContent = 'No shortcuts match';
+        empty.style.display = 'none';
+        this.body.appendChild(empty);
+    }
+
+    renderRow({ combo, description, detail }) {
+        const row = document.createElement('div');
+        row.className = 'ztgi-help-row';
+        row.innerHTML = `
+            <span class="ztgi-help-keys"></span>
+            <span class="ztgi-help-desc"><span></span><small></small></span>
+        `;
+
+        // Sequences show each key in turn
+        const keys = row.querySelector('.ztgi-help-keys');
+        const formatted = combo ? combo.split(' ').map(part => this.ztgi.settings.formatKeyCombo(part)) : ['—'];
+        formatted.forEach((part, i) => {
+            if (i > 0) keys.appendChild(document.createTextNode(' then '));
+            const kbd = document.createElement('kbd');
+            kbd.textContent = part;
+            keys.appendChild(kbd);
+        });
+
+        row.querySelector('.ztgi-help-desc span').textContent = description;
+        row.querySelector('.ztgi-help-desc small').textContent = detail;
+        row.dataset.search = [combo, formatted.join(' '), description, detail].join(' ').toLowerCase();
+        return row;
+    }
+
+    /**
+     * Show only rows matching every word of the query
+     */
+    filter(query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        let matches = 0;
+
+        this.body.querySelectorAll('.ztgi-help-section').forEach(section => {
+            let sectionMatches = 0;
+            section.querySelectorAll('.ztgi-help-group').forEach(group => {
+                let groupMatches = 0;
+                group.querySelectorAll('.ztgi-help-row').forEach(row => {
+                    const match = words.every(word => row.dataset.search.includes(word));
+                    row.style.display = match ? '' : 'none';
+                    if (match) groupMatches++;
+                });
+                group.style.display = groupMatches > 0 ? '' : 'none';
+                sectionMatches += groupMatches;
+            });
+            section.style.display = sectionMatches > 0 ? '' : 'none';
+            matches += sectionMatches;
+        });
+
+        this.body.querySelector('.ztgi-help-empty').style.display = matches > 0 ? 'none' : 'block';
+    }
+
+    /**
+     * Add CSS styles
+     */
+    addStyles() {
+        if (document.getElementById('ztgi-help-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'ztgi-help-styles';
+        style.textContent = `
+            .ztgi-help-overlay {
+                position: fixed;
+                inset: 0;
+                background: rgba(0,0,0,0.6);
+                align-items: center;
+                justify-content: center;
+                z-index: 20000;
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+            .ztgi-help {
+                display: flex;
+                flex-direction: column;
+                width: min(960px, 90vw);
+                max-height: 85vh;
+                background: #1e1e1e;
+                border: 1px solid #3a3a3a;
+                border-radius: 12px;
+                box-shadow: 0 8px 32px rgba(0,0,0,0.4);
+                color: #e0e0e0;
+                overflow: hidden;
+            }
+            .ztgi-help-header {
+                display: flex;
+                align-items: center;
+                gap: 12px;
+                padding: 14px 16px;
+                border-bottom: 1px solid #333;
+            }
+            .ztgi-help-header h2 {
+                flex: 1;
+                margin: 0;
+                font-size: 16px;
+            }
+            .ztgi-help-search {
+                width: 220px;
+                padding: 6px 10px;
+                background: #2a2a2a;
+                border: 1px solid #3a3a3a;
+                border-radius: 6px;
+                color: #e0e0e0;
+                font-size: 13px;
+                outline: none;
+            }
+            .ztgi-help-search:focus {
+                border-color: #4a9eff;
+            }
+            .ztgi-help-btn {
+                padding: 4px 10px;
+                background: #333;
+                border: none;
+                border-radius: 6px;
+                color: #ccc;
+                font-size: 13px;
+                cursor: pointer;
+            }
+            .ztgi-help-btn:hover {
+                background: #444;
+                color: #fff;
+            }
+            .ztgi-help-close {
+                background: none;
+                font-size: 18px;
+            }
+            .ztgi-help-body {
+                padding: 8px 16px 16px;
+                overflow-y: auto;
+                columns: 2 360px;
+                column-gap: 32px;
+            }
+            .ztgi-help-section {
+                break-inside: avoid;
+                margin-bottom: 16px;
+            }
+            .ztgi-help-section h3 {
+                margin: 8px 0;
+                color: #4a9eff;
+                font-size: 13px;
+                text-transform: uppercase;
+                letter-spacing: 0.5px;
+            }
+            .ztgi-help-group h4 {
+                margin: 8px 0 4px;
+                color: #888;
+                font-size: 12px;
+                font-weight: 600;
+            }
+            .ztgi-help-row {
+                display: flex;
+                align-items: baseline;
+                gap: 12px;
+                padding: 4px 0;
+                font-size: 13px;
+            }
+            .ztgi-help-keys {
+                flex: 0 0 130px;
+                color: #888;
+                font-size: 11px;
+            }
+            .ztgi-help-keys kbd {
+                display: inline-block;
+                padding: 2px 6px;
+                background: #333;
+                border: 1px solid #444;
+                border-radius: 4px;
+                color: #fff;
+                font-family: monospace;
+                font-size: 12px;
+            }
+            .ztgi-help-desc small {
+                display: block;
+                color: #888;
+                font-size: 11px;
+            }
+            .ztgi-help-empty {
+                padding: 24px;
+                color: #888;
+                text-align: center;
+            }
+            @media print {
+                body > *:not(.ztgi-help-overlay) {
+                    display: none !important;
+                }
+                .ztgi-help-overlay {
+                    position: static;
+                    background: none;
+                }
+                .ztgi-help {
+                    width: auto;
+                    max-height: none;
+                    background: #fff;
+                    border: none;
+                    box-shadow: none;
+                    color: #000;
+                }
+                .ztgi-help-search,
+                .ztgi-help-btn {
+                    display: none;
+                }
+                .ztgi-help-body {
+                    overflow: visible;
+                }
+                .ztgi-help-keys kbd {
+                    background: #fff;
+                    border-color: #999;
+                    color: #000;
+                }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        if (this.overlay) this.overlay.remove();
+        const styles = document.getElementById('ztgi-help-styles');
+        if (styles) styles.remove();
+    }
+}
+
+export { ShortcutHelp };
@@ -60,14 +60,37 @@ async function copyToClipboard(text) {
     }
 }
 
-// Show toast notification
-function showToast(message, duration = 3000) {
+// Show toast notification, optionally with an action button:
+//   showToast('Node removed', 5000, { action: { label: 'Undo', onClick: () => ZtgiUI.actions.undo() } });
+function showToast(message, duration = 3000, options = {}) {
     const existing = document.querySelector('.ztgi-toast');
     if (existing) existing.remove();
 
     const toast = document.createElement('div');
     toast.className = 'ztgi-toast';
-    toast.textContent = message;
+    toast.setAttribute('role', 'status');
+
+    const text = document.createElement('span');
+    text.className = 'ztgi-toast-message';
+    text.textContent = message;
+    toast.appendChild(text);
+
+    const dismiss = () => {
+        toast.classList.remove('ztgi-toast-visible');
+        setTimeout(() => toast.remove(), 300);
+    };
+
+    if (options.action) {
+        const button = document.createElement('button');
+        button.className = 'ztgi-toast-action';
+        button.textContent = options.action.label;
+        button.addEventListener('click', () => {
+            dismiss();
+            options.action.onClick();
+        });
+        toast.appendChild(button);
+    }
+
     document.body.appendChild(toast);
 
     // Trigger animation
@@ -75,10 +98,27 @@ function showToast(message, duration = 3000) {
         toast.classList.add('ztgi-toast-visible');
     });
 
-    setTimeout(() => {
-        toast.classList.remove('ztgi-toast-visible');
-        setTimeout(() => toast.remove(), 300);
-    }, duration);
+    setTimeout(dismiss, duration);
+}
+
+// Escape text for HTML content or a quoted attribute value
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Render a menu icon: emoji/text, an asset path (e.g. /cursors/chain.svg) or a URL
+function renderIcon(icon, baseUrl = '') {
+    if (!icon) return '';
+    if (/^(https?:|data:|\/)/.test(icon) || /\.(svg|png|jpe?g|gif|webp)$/i.test(icon)) {
+        const src = icon.startsWith('/') ? baseUrl + icon : icon;
+        return `<img class="ztgi-icon" src="${escapeHtml(src)}" alt="" aria-hidden="true">`;
+    }
+    return `<span class="ztgi-icon" aria-hidden="true">${escapeHtml(icon)}</span>`;
 }
 
 // Get element data attributes as object
@@ -104,6 +144,8 @@ export {
     deepMerge,
     copyToClipboard,
     showToast,
+    escapeHtml,
+    renderIcon,
     getElementData,
     findContextParent
 };
@@ -15,6 +15,10 @@
  *     itemContext: 'cnp-timeline-item',
  *     getItemData: (itemId) => itemDataMap[itemId]
  *   });
+ *
+ * Each hooked container is a shortcut scope ('graph' / 'timeline' unless
+ * `scope` is given), so `shortcuts: { graph: { ... } }` bindings only apply
+ * while it has focus.
  */
 
 class VisIntegration {
@@ -36,7 +40,8 @@ class VisIntegration {
             canvasContext: options.canvasContext || 'cnp-graph-canvas',
             getNodeData: options.getNodeData || ((id) => ({ id })),
             getEdgeData: options.getEdgeData || ((id) => ({ id })),
-            container: options.container || network.body.container
+            container: options.container || network.body.container,
+            scope: options.scope || 'graph'
         };
 
         // Store reference
@@ -78,13 +83,8 @@ class VisIntegration {
             }
         });
 
-        // Add keyboard shortcuts when network is focused
-        canvas.addEventListener('keydown', (e) => {
-            if (e.key === '?') {
-                e.preventDefault();
-                this.ztgi.settings.open();
-            }
-        });
+        // Scoped shortcuts apply while the network is focused
+        this.ztgi.keyboard.defineScope(config.scope, { element: config.container });
 
         // Make canvas focusable
         canvas.tabIndex = 0;
@@ -102,7 +102,8 @@ class VisIntegration {
             itemContext: options.itemContext || 'cnp-timeline-item',
             backgroundContext: options.backgroundContext || 'cnp-timeline-bg',
             getItemData: options.getItemData || ((id) => ({ id })),
-            container: options.container || timeline.dom.container
+            container: options.container || timeline.dom.container,
+            scope: options.scope || 'timeline'
         };
 
         // Store reference
@@ -135,6 +136,9 @@ class VisIntegration {
             }
         });
 
+        // Scoped shortcuts apply while the timeline is focused
+        this.ztgi.keyboard.defineScope(config.scope, { element: config.container });
+
         // Also mark timeline items with data-context for discoverability
         this.markTimelineItems(timeline, config);
 
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, listen, jsonResponse, quiet } from './helpers.mjs';
+import { ActionRouter } from '../src/action-router.js';
+import { ActionQueue } from '../src/action-queue.js';
+
+installDom();
+
+// A queue (kept in memory, no badge) wired to its own router
+function createQueue(t) {
+    quiet(t);
+    const actions = new ActionRouter();
+    actions.setErrorPresenter(null);
+    const queue = new ActionQueue({ actions });
+    actions.setQueue(queue);
+    actions.setMeta('cnp.spawnAgent', { queueable: true, idempotencyKey: 'spawn-{hash8}', label: 'Spawn Agent' });
+    t.after(() => queue.stopHealthChecks());
+    return queue;
+}
+
+test('unreachable queueable actions are queued once per idempotency key', async (t) => {
+    const queue = createQueue(t);
+    t.mock.method(globalThis, 'fetch', async () => {
+        throw new TypeError('fetch failed');
+    });
+    const events = listen('ztgi:queue');
+
+    const first = await queue.ztgi.actions.execute('cnp.spawnAgent', { hash8: 'a1' });
+    const again = await queue.ztgi.actions.execute('cnp.spawnAgent', { hash8: 'a1' });
+    events.stop();
+
+    assert.deepEqual(first, { queued: true, key: 'cnp.spawnAgent:spawn-a1' });
+    assert.deepEqual(again, first);
+    assert.equal(queue.getEntries().length, 1);
+    assert.equal(queue.isOffline('cnp'), true);
+    assert.deepEqual(events.map(e => e.type), ['enqueue']);
+
+    const [entry] = queue.getEntries();
+    assert.equal(entry.label, 'Spawn Agent');
+    assert.equal(entry.status, 'pending');
+    assert.equal(entry.lastError, 'fetch failed');
+});
+
+test('a sent entry is removed and brings its endpoint back online', async (t) => {
+    const queue = createQueue(t);
+    const entry = await queue.enqueue('cnp.spawnAgent', { hash8: 'a1' });
+    const fetch = t.mock.method(globalThis, 'fetch', async () => jsonResponse({ agentId: 7 }));
+    const events = listen('ztgi:queue');
+
+    assert.equal(await queue.retry(entry.key), true);
+    events.stop();
+
+    assert.equal(fetch.mock.calls[0].arguments[1].headers['Idempotency-Key'], entry.key);
+    assert.deepEqual(queue.getEntries(), []);
+    assert.equal(queue.isOffline('cnp'), false);
+    assert.deepEqual(events.find(e => e.type === 'sent').result, { agentId: 7 });
+});
+
+test('a failed send stays pending while the endpoint is down, and fails when refused', async (t) => {
+    const queue = createQueue(t);
+    const entry = await queue.enqueue('cnp.spawnAgent', { hash8: 'a1' });
+    const fetch = t.mock.method(globalThis, 'fetch', async () => jsonResponse({}, 503));
+
+    assert.equal(await queue.retry(entry.key), false);
+    assert.equal(entry.status, 'pending');
+    assert.equal(entry.lastError, 'API call failed: 503');
+
+    fetch.mock.mockImplementation(async () => jsonResponse({}, 400));
+    assert.equal(await queue.retry(entry.key), false);
+    assert.equal(entry.status, 'failed');
+    assert.equal(queue.getPending().length, 0);
+});
+
+test('a passing health check replays pending entries oldest first', async (t) => {
+    const queue = createQueue(t);
+    await queue.enqueue('cnp.spawnAgent', { hash8: 'a1' });
+    await queue.enqueue('cnp.spawnAgent', { hash8: 'a2' });
+    const sent = [];
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+        if (url.endsWith('/health')) return jsonResponse({ ok: true });
+        sent.push(JSON.parse(init.body).hash8);
+        return jsonResponse({});
+    });
+
+    assert.equal(await queue.checkHealth('cnp'), true);
+    assert.deepEqual(sent, ['a1', 'a2']);
+    assert.deepEqual(queue.getEntries(), []);
+});
+
+test('replay stops when the endpoint goes down again', async (t) => {
+    const queue = createQueue(t);
+    await queue.enqueue('cnp.spawnAgent', { hash8: 'a1' });
+    await queue.enqueue('cnp.spawnAgent', { hash8: 'a2' });
+    queue.offline.delete('cnp');
+    const fetch = t.mock.method(globalThis, 'fetch', async () => {
+        throw new TypeError('fetch failed');
+    });
+
+    await queue.replay('cnp');
+    assert.equal(fetch.mock.callCount(), 1);
+    assert.deepEqual(queue.getPending().map(entry => entry.data.hash8), ['a1', 'a2']);
+});
+
+test('cancel drops an entry without sending it', async (t) => {
+    const queue = createQueue(t);
+    const entry = await queue.enqueue('cnp.spawnAgent', { hash8: 'a1' });
+
+    assert.equal(await queue.cancel(entry.key), true);
+    assert.equal(await queue.cancel(entry.key), false);
+    assert.deepEqual(queue.getEntries(), []);
+});
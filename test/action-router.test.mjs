@@ -0,0 +1,423 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, listen, jsonResponse, quiet } from './helpers.mjs';
+import { ActionRouter } from '../src/action-router.js';
+
+installDom();
+
+// A router without the toast error presenter
+function createRouter(t) {
+    quiet(t);
+    const router = new ActionRouter();
+    router.setErrorPresenter(null);
+    return router;
+}
+
+describe('URLs', () => {
+    const router = new ActionRouter();
+
+    test('interpolateUrl fills and encodes placeholders', () => {
+        assert.equal(router.interpolateUrl('/chain/{hash8}', { hash8: 'a b/c' }), '/chain/a%20b%2Fc');
+        assert.equal(router.interpolateUrl('/case/{case.id}/doc/{docId}', { case: { id: 7 }, docId: 'd1' }), '/case/7/doc/d1');
+        assert.equal(router.interpolateUrl('/x/{missing}', {}), '/x/{missing}');
+    });
+
+    test('interpolateUrl uses defaults for missing or empty values', () => {
+        assert.equal(router.interpolateUrl('/list?page={page|1}', {}), '/list?page=1');
+        assert.equal(router.interpolateUrl('/list?page={page|1}', { page: '' }), '/list?page=1');
+        assert.equal(router.interpolateUrl('/list?page={page|1}', { page: 0 }), '/list?page=0');
+        assert.equal(router.interpolateUrl('/list/{sort|a z}', {}), '/list/a%20z');
+    });
+
+    test('interpolateUrl turns objects into a query string', () => {
+        assert.equal(router.interpolateUrl('/s?{filters}', { filters: { a: 1, tags: ['x', 'y'], empty: '' } }), '/s?a=1&tags=x&tags=y');
+    });
+
+    test('buildUrl appends a query mapping, keeping the hash', () => {
+        const query = { q: '{query}', tags: '{tags}', page: '{page|1}' };
+        assert.equal(router.buildUrl('/search', { query: 'a b', tags: ['x', 'y'] }, query), '/search?q=a+b&tags=x&tags=y&page=1');
+        assert.equal(router.buildUrl('/s?x=1#top', { q: 'z' }, { q: '{q}' }), '/s?x=1&q=z#top');
+        assert.equal(router.buildUrl('/s', {}, { q: '{q}' }), '/s');
+        assert.equal(router.buildUrl('/s/{id}', { id: 3 }), '/s/3');
+    });
+});
+
+describe('step data mapping', () => {
+    const router = new ActionRouter();
+    const scope = { n: 3, list: [1, 2], evidence: { docId: 'd9' }, $result: { ok: true } };
+
+    test('mapStepData fills strings, arrays and objects', () => {
+        const mapped = router.mapStepData({
+            count: '{n}',
+            items: '{list}',
+            doc: '{evidence.docId}',
+            text: 'Doc {evidence.docId} of {n}',
+            ok: '{$result.ok}',
+            fallback: '{missing|none}',
+            nested: [{ id: '{n}' }],
+            literal: 5
+        }, scope);
+
+        assert.deepEqual(mapped, {
+            count: 3,
+            items: [1, 2],
+            doc: 'd9',
+            text: 'Doc d9 of 3',
+            ok: true,
+            fallback: 'none',
+            nested: [{ id: 3 }],
+            literal: 5
+        });
+    });
+
+    test('mapStepData leaves missing values out', () => {
+        assert.equal(router.mapStepData('{missing}', scope), undefined);
+        assert.equal(router.mapStepData('id-{missing}', scope), 'id-');
+    });
+
+    test('resolvePath walks dotted paths', () => {
+        assert.equal(router.resolvePath({ a: { b: { c: 1 } } }, 'a.b.c'), 1);
+        assert.equal(router.resolvePath({ a: null }, 'a.b.c'), undefined);
+    });
+});
+
+describe('validation', () => {
+    test('declared params are checked, per element for bulk data', () => {
+        const router = new ActionRouter();
+        router.setMeta('cnp.spawnAgent', {
+            params: { hash8: { type: 'string', pattern: '^[0-9a-f]{8}$' }, agentId: 'number?' }
+        });
+
+        assert.deepEqual(router.validate('cnp.spawnAgent', { hash8: 'a1b2c3d4' }), []);
+        assert.deepEqual(router.validate('cnp.spawnAgent', {}), [
+            { param: 'hash8', attribute: 'data-hash8', problem: 'missing', count: 1, message: 'missing data-hash8' }
+        ]);
+        assert.equal(router.validate('cnp.spawnAgent', { hash8: 'xyz' })[0].message, 'data-hash8 is not in the expected format');
+        assert.equal(router.validate('cnp.spawnAgent', { hash8: 'a1b2c3d4', agentId: 'seven' })[0].message, 'data-agent-id is not a number');
+        assert.equal(router.validate('cnp.spawnAgent', [{ hash8: 'a1b2c3d4' }, {}])[0].message, '1 of 2 items missing data-hash8');
+    });
+
+    test('URL placeholders are required unless they have a default', () => {
+        const router = new ActionRouter();
+        assert.equal(router.validate('/chain/{hash8}', {})[0].message, 'missing data-hash8');
+        assert.deepEqual(router.validate('/search/{q|all}', {}), []);
+    });
+
+    test('execute refuses invalid data after middleware has run', async (t) => {
+        const router = createRouter(t);
+        const calls = [];
+        router.register('cnp.viewEntry', data => calls.push(data), { params: { hash8: 'string' } });
+
+        await assert.rejects(router.execute('cnp.viewEntry', {}), { name: 'ValidationError', message: 'missing data-hash8' });
+        assert.equal(calls.length, 0);
+
+        router.use(() => ({ hash8: 'a1b2c3d4' }));
+        await router.execute('cnp.viewEntry', {});
+        assert.deepEqual(calls, [{ hash8: 'a1b2c3d4' }]);
+    });
+});
+
+describe('composite actions', () => {
+    test('results carry into later steps and `as` names them', async (t) => {
+        const router = createRouter(t);
+        const links = [];
+        router.register('case.addEvidence', async () => ({ docId: 'd1' }));
+        router.register('doc.linkToCase', async (data) => {
+            links.push(data);
+            return { linked: true };
+        });
+        router.registerComposite('case.addAndLink', {
+            steps: [
+                { action: 'case.addEvidence', as: 'evidence' },
+                { if: 'caseId', then: [
+                    { action: 'doc.linkToCase', data: { docId: '{evidence.docId}', caseId: '{caseId}' } }
+                ] }
+            ]
+        });
+
+        const result = await router.execute('case.addAndLink', { caseId: 'c1' });
+        assert.deepEqual(links, [{ docId: 'd1', caseId: 'c1' }]);
+        assert.deepEqual(result, { caseId: 'c1', docId: 'd1', linked: true });
+
+        await router.execute('case.addAndLink', {});
+        assert.equal(links.length, 1);
+    });
+
+    test('`when` skips a step', async (t) => {
+        const router = createRouter(t);
+        const ran = [];
+        router.register('a.one', () => ran.push('one'));
+        router.register('a.two', () => ran.push('two'));
+        router.registerComposite('a.both', {
+            steps: [{ action: 'a.one', when: "mode == 'full'" }, { action: 'a.two' }]
+        });
+
+        await router.execute('a.both', { mode: 'quick' });
+        assert.deepEqual(ran, ['two']);
+    });
+
+    test('steps carry the composite run id as their parent', async (t) => {
+        const router = createRouter(t);
+        router.register('a.step', () => null);
+        router.registerComposite('a.flow', { steps: [{ action: 'a.step' }, { action: 'a.step' }] });
+
+        const events = listen('ztgi:action');
+        await router.execute('a.flow', {});
+        events.stop();
+
+        const starts = events.filter(e => e.phase === 'start');
+        const flow = starts.find(e => e.action === 'a.flow');
+        assert.equal(flow.parent, null);
+        assert.deepEqual(starts.filter(e => e.action === 'a.step').map(e => e.parent), [flow.id, flow.id]);
+    });
+
+    test('a failing step aborts by default', async (t) => {
+        const router = createRouter(t);
+        const ran = [];
+        router.register('a.fail', () => {
+            throw new Error('boom');
+        });
+        router.register('a.after', () => ran.push('after'));
+        router.registerComposite('a.flow', { steps: [{ action: 'a.fail' }, { action: 'a.after' }] });
+
+        await assert.rejects(router.execute('a.flow', {}), (error) => {
+            assert.equal(error.message, 'Step a.fail failed: boom');
+            assert.equal(error.step, 'a.fail');
+            assert.equal(error.cause.message, 'boom');
+            return true;
+        });
+        assert.deepEqual(ran, []);
+    });
+
+    test("'continue' moves on with the error as $error", async (t) => {
+        const router = createRouter(t);
+        const logged = [];
+        router.register('a.fail', () => {
+            throw new Error('boom');
+        });
+        router.register('a.log', data => logged.push(data));
+        router.registerComposite('a.flow', {
+            steps: [{ action: 'a.fail', onError: 'continue' }, { action: 'a.log', data: { error: '{$error}' } }]
+        });
+
+        await router.execute('a.flow', {});
+        assert.deepEqual(logged, [{ error: 'boom' }]);
+    });
+
+    test("'retry' tries again, but not on invalid data", async (t) => {
+        const router = createRouter(t);
+        let attempts = 0;
+        router.register('a.flaky', () => {
+            if (++attempts < 3) throw new Error('flaky');
+            return { done: true };
+        });
+        router.registerComposite('a.flow', { steps: [{ action: 'a.flaky', onError: 'retry', retries: 2 }] });
+        assert.deepEqual(await router.execute('a.flow', {}), { done: true });
+        assert.equal(attempts, 3);
+
+        let checked = 0;
+        router.register('a.strict', () => checked++, { params: { id: 'string' } });
+        router.registerComposite('a.strictFlow', { steps: [{ action: 'a.strict', onError: 'retry' }] });
+        await assert.rejects(router.execute('a.strictFlow', {}), { message: 'Step a.strict failed: missing data-id' });
+        assert.equal(checked, 0);
+    });
+
+    test('a fallback step runs in place of a failed one', async (t) => {
+        const router = createRouter(t);
+        const fallbacks = [];
+        router.register('a.fail', () => {
+            throw new Error('boom');
+        });
+        router.register('a.fallback', data => fallbacks.push(data));
+        router.registerComposite('a.flow', {
+            steps: [{ action: 'a.fail', onError: { action: 'a.fallback', data: { reason: '{$error}' } } }]
+        });
+
+        await router.execute('a.flow', {});
+        assert.deepEqual(fallbacks, [{ reason: 'boom' }]);
+    });
+
+    test('a step with no handler fails, while a top-level action only warns', async (t) => {
+        const router = createRouter(t);
+        router.registerComposite('a.flow', { steps: [{ action: 'nowhere.atAll' }] });
+
+        await assert.rejects(router.execute('a.flow', {}), error => error.cause.name === 'UnknownActionError');
+        assert.equal(await router.execute('nowhere.atAll', {}), undefined);
+    });
+
+    test('step mappings are filled per element for bulk data', async (t) => {
+        const router = createRouter(t);
+        const received = [];
+        router.register('a.tag', data => received.push(data));
+        router.registerComposite('a.bulk', { steps: [{ action: 'a.tag', data: { ref: '{id}', total: '{count}' } }] });
+
+        const items = [{ id: '1' }, { id: '2' }];
+        assert.deepEqual(await router.execute('a.bulk', items), items);
+        assert.deepEqual(received, [[{ ref: '1', total: 2 }, { ref: '2', total: 2 }]]);
+    });
+
+    test('cancelling a composite cancels only its own running step', async (t) => {
+        const router = createRouter(t);
+        const signals = [];
+        router.register('a.wait', (data, { signal }) => {
+            signals.push(signal);
+            return new Promise(() => {});
+        });
+        router.registerComposite('a.flow', { steps: [{ action: 'a.wait' }] });
+
+        const events = listen('ztgi:action');
+        const first = router.execute('a.flow', {});
+        const second = router.execute('a.flow', {});
+        await new Promise(resolve => setImmediate(resolve));
+        events.stop();
+
+        const flows = events.filter(e => e.phase === 'start' && e.action === 'a.flow');
+        router.cancel(flows[0].id);
+        await assert.rejects(first, { name: 'AbortError' });
+        assert.deepEqual(signals.map(signal => signal.aborted), [true, false]);
+
+        router.cancel(flows[1].id);
+        await assert.rejects(second, { name: 'AbortError' });
+    });
+});
+
+describe('undo and redo', () => {
+    test('a returned inverse function is recorded, undone and redone', async (t) => {
+        const router = createRouter(t);
+        const nodes = new Set(['n1']);
+        router.register('flow.removeNode', (data) => {
+            nodes.delete(data.id);
+            return () => nodes.add(data.id);
+        });
+
+        await router.execute('flow.removeNode', { id: 'n1' });
+        assert.equal(router.canUndo(), true);
+
+        await router.undo();
+        assert.deepEqual([...nodes], ['n1']);
+        assert.equal(router.canRedo(), true);
+
+        await router.redo();
+        assert.deepEqual([...nodes], []);
+        assert.equal(router.canUndo(), true);
+        assert.equal(router.canRedo(), false);
+    });
+
+    test('an inverse action replays without confirming or recording', async (t) => {
+        const router = createRouter(t);
+        const calls = [];
+        let confirms = 0;
+        router.confirm = async () => {
+            confirms++;
+            return { confirmed: true };
+        };
+        router.register('email.archive', (data, { replay }) => calls.push(['archive', replay]));
+        router.register('email.unarchive', (data, { replay }) => calls.push(['unarchive', replay]), { confirm: 'Unarchive?' });
+        router.setUndo('email.archive', 'email.unarchive');
+
+        await router.execute('email.archive', { id: 'm1' });
+        await router.undo();
+        await router.redo();
+
+        assert.deepEqual(calls, [['archive', false], ['unarchive', true], ['archive', true]]);
+        assert.equal(confirms, 0);
+        assert.equal(router.undoStack.length, 1);
+        assert.equal(router.redoStack.length, 0);
+    });
+
+    test('a failed undo keeps its entry for another try', async (t) => {
+        const router = createRouter(t);
+        let failures = 1;
+        router.register('a.change', () => () => {
+            if (failures-- > 0) throw new Error('offline');
+        });
+
+        await router.execute('a.change', {});
+        await assert.rejects(router.undo(), { message: 'offline' });
+        assert.equal(router.canUndo(), true);
+
+        await router.undo();
+        assert.equal(router.canUndo(), false);
+    });
+});
+
+describe('remote actions', () => {
+    test('API actions post JSON to their endpoint', async (t) => {
+        const router = createRouter(t);
+        const fetch = t.mock.method(globalThis, 'fetch', async () => jsonResponse({ ok: 1 }));
+
+        assert.deepEqual(await router.execute('cnp.search', { q: 'x' }), { ok: 1 });
+        const [url, init] = fetch.mock.calls[0].arguments;
+        assert.equal(url, 'http://localhost:7890/action/search');
+        assert.equal(init.method, 'POST');
+        assert.equal(init.body, '{"q":"x"}');
+
+        fetch.mock.mockImplementation(async () => new Response(null, { status: 204 }));
+        assert.equal(await router.execute('cnp.search', {}), null);
+    });
+
+    test('idempotent actions retry 5xx but not 4xx', async (t) => {
+        const router = createRouter(t);
+        router.setMeta('cnp.search', { idempotent: true, retries: 2, backoff: 0 });
+        const statuses = [503, 503, 200];
+        const fetch = t.mock.method(globalThis, 'fetch', async () => jsonResponse({ ok: 1 }, statuses.shift()));
+
+        assert.deepEqual(await router.execute('cnp.search', {}), { ok: 1 });
+        assert.equal(fetch.mock.callCount(), 3);
+
+        fetch.mock.mockImplementation(async () => jsonResponse({}, 400));
+        await assert.rejects(router.execute('cnp.search', {}), { status: 400 });
+        assert.equal(fetch.mock.callCount(), 4);
+    });
+
+    test('other actions are sent once', async (t) => {
+        const router = createRouter(t);
+        const fetch = t.mock.method(globalThis, 'fetch', async () => jsonResponse({}, 503));
+
+        await assert.rejects(router.execute('cnp.spawnAgent', {}), { status: 503 });
+        assert.equal(fetch.mock.callCount(), 1);
+    });
+
+    test('slow calls time out', async (t) => {
+        const router = createRouter(t);
+        router.setMeta('cnp.slow', { timeout: 20 });
+        t.mock.method(globalThis, 'fetch', (url, init) => new Promise((resolve, reject) => {
+            init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+        }));
+
+        await assert.rejects(router.execute('cnp.slow', {}), { name: 'TimeoutError', message: 'Timed out after 20ms' });
+    });
+
+    test('queueable actions are queued when their endpoint is unreachable', async (t) => {
+        const router = createRouter(t);
+        const queued = [];
+        let offline = false;
+        router.setQueue({
+            isOffline: () => offline,
+            enqueue: async (action, data, error) => {
+                queued.push({ action, data, error: error && error.name });
+                return { key: 'k1' };
+            }
+        });
+        router.setMeta('cnp.spawnAgent', { queueable: true, idempotencyKey: 'spawn-{hash8}' });
+        const fetch = t.mock.method(globalThis, 'fetch', async () => {
+            throw new TypeError('fetch failed');
+        });
+
+        assert.deepEqual(await router.execute('cnp.spawnAgent', { hash8: 'a1' }), { queued: true, key: 'k1' });
+        assert.equal(fetch.mock.calls[0].arguments[1].headers['Idempotency-Key'], 'cnp.spawnAgent:spawn-a1');
+        assert.deepEqual(queued, [{ action: 'cnp.spawnAgent', data: { hash8: 'a1' }, error: 'TypeError' }]);
+
+        // Known to be down: queued without trying
+        offline = true;
+        await router.execute('cnp.spawnAgent', { hash8: 'a2' });
+        assert.equal(fetch.mock.callCount(), 1);
+        assert.equal(queued.length, 2);
+
+        // Rejected by the backend: not queued
+        offline = false;
+        fetch.mock.mockImplementation(async () => jsonResponse({}, 400));
+        await assert.rejects(router.execute('cnp.spawnAgent', { hash8: 'a3' }), { status: 400 });
+        assert.equal(queued.length, 2);
+    });
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConditionParser } from '../src/condition-parser.js';
+
+const parser = new ConditionParser();
+const check = (expression, data) => parser.evaluate(expression, data);
+
+test('attribute presence follows dataset semantics', () => {
+    assert.equal(check('hash8', { hash8: 'a1b2c3d4' }), true);
+    assert.equal(check('hash8', { hash8: '' }), true);
+    assert.equal(check('hash8', { hash8: 'false' }), false);
+    assert.equal(check('hash8', {}), false);
+    assert.equal(check('!pinned', {}), true);
+    assert.equal(check('!pinned', { pinned: '' }), false);
+});
+
+test('comparisons are numeric when both sides look like numbers', () => {
+    assert.equal(check('count > 2', { count: '10' }), true);
+    assert.equal(check('count <= 2', { count: '10' }), false);
+    assert.equal(check('count >= 2.5', { count: '2.5' }), true);
+    assert.equal(check("type == 'derived'", { type: 'derived' }), true);
+    assert.equal(check("type != 'derived'", { type: 'root' }), true);
+    assert.equal(check('locked == true', { locked: 'true' }), true);
+    assert.equal(check('locked == true', { locked: 'false' }), false);
+    assert.equal(check('parent == null', {}), true);
+});
+
+test('&& binds tighter than ||, and parentheses group', () => {
+    assert.equal(check('a || b && c', { a: '1' }), true);
+    assert.equal(check('a || b && c', { b: '1' }), false);
+    assert.equal(check('(a || b) && c', { b: '1' }), false);
+    assert.equal(check('(a || b) && c', { b: '1', c: '1' }), true);
+    assert.equal(check('count > 2 && !locked', { count: '3' }), true);
+});
+
+test('in checks membership of a list', () => {
+    assert.equal(check("status in ['open', 'new']", { status: 'new' }), true);
+    assert.equal(check("status in ['open', 'new']", { status: 'closed' }), false);
+    assert.equal(check('priority in [1, 2]', { priority: '2' }), true);
+    assert.equal(check('status in []', { status: 'open' }), false);
+});
+
+test('string literals accept either quote and escapes', () => {
+    assert.equal(check('name == "it\'s"', { name: "it's" }), true);
+    assert.equal(check("name == 'it\\'s'", { name: "it's" }), true);
+});
+
+test('functions, booleans and empty conditions', () => {
+    assert.equal(parser.evaluate(undefined), true);
+    assert.equal(parser.evaluate(''), true);
+    assert.equal(parser.evaluate(false), false);
+    assert.equal(parser.evaluate((data, target) => data.id === target, { id: 7 }, 7), true);
+});
+
+test('invalid expressions evaluate to false with a warning', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.equal(check('a &&', { a: '1' }), false);
+    assert.equal(check('a; alert(1)', { a: '1' }), false);
+    assert.equal(warn.mock.callCount(), 2);
+});
+
+test('validate reports what is wrong with an expression', () => {
+    assert.equal(parser.validate('a && !b'), null);
+    assert.equal(parser.validate('a &&'), 'Unexpected end of expression');
+    assert.equal(parser.validate('a b'), 'Unexpected "b"');
+    assert.equal(parser.validate('(a'), 'Expected ")" but found end of expression');
+    assert.equal(parser.validate("a == 'x"), 'Unexpected character at 4');
+    assert.equal(parser.validate(() => true), null);
+});
+
+test('parsed expressions are cached', () => {
+    const local = new ConditionParser();
+    assert.equal(local.parse('a && b'), local.parse('a && b'));
+});
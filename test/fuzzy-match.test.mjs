@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fuzzyMatch, fuzzyFilter, highlightMatches } from '../src/fuzzy-match.js';
+
+test('fuzzyMatch finds query characters in order', () => {
+    assert.deepEqual(fuzzyMatch('cph', 'Copy Hash').indices, [0, 2, 5]);
+    assert.deepEqual(fuzzyMatch('co h', 'Copy Hash').indices, [0, 1, 5]);
+    assert.equal(fuzzyMatch('hc', 'Copy Hash'), null);
+    assert.equal(fuzzyMatch('x', 'Copy Hash'), null);
+});
+
+test('fuzzyMatch handles empty input', () => {
+    assert.deepEqual(fuzzyMatch('', 'Copy Hash'), { score: 0, indices: [] });
+    assert.equal(fuzzyMatch('c', ''), null);
+});
+
+test('prefixes, word starts and shorter texts score higher', () => {
+    const score = (query, text) => fuzzyMatch(query, text).score;
+    assert.ok(score('copy', 'Copy Hash') > score('copy', 'Quick Copy'));
+    assert.ok(score('ch', 'Copy Hash') > score('ch', 'Cache'));
+    assert.ok(score('file', 'File') > score('file', 'File path'));
+});
+
+test('fuzzyFilter drops misses and ranks best first, stable on ties', () => {
+    const items = [{ label: 'Open File' }, { label: 'Delete' }, { label: 'File' }, { label: 'Copy File path' }];
+    const results = fuzzyFilter(items, 'file', item => item.label);
+    assert.deepEqual(results.map(r => r.item.label), ['File', 'Open File', 'Copy File path']);
+    assert.deepEqual(results[0].indices, [0, 1, 2, 3]);
+
+    const ties = fuzzyFilter(['ab', 'ab', 'ab'].map((label, id) => ({ label, id })), 'a', item => item.label);
+    assert.deepEqual(ties.map(r => r.item.id), [0, 1, 2]);
+});
+
+test('fuzzyFilter keeps every item for an empty query', () => {
+    assert.deepEqual(fuzzyFilter(['b', 'a'], '').map(r => r.item), ['b', 'a']);
+});
+
+test('highlightMatches marks runs and escapes HTML', () => {
+    assert.equal(highlightMatches('Copy Hash', [0, 2, 5]), '<mark>C</mark>o<mark>p</mark>y <mark>H</mark>ash');
+    assert.equal(highlightMatches('File', [0, 1, 2, 3]), '<mark>File</mark>');
+    assert.equal(highlightMatches('a<b>&', [1, 2]), 'a<mark>&lt;b</mark>&gt;&amp;');
+    assert.equal(highlightMatches('<i>'), '&lt;i&gt;');
+});
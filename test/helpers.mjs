@@ -0,0 +1,64 @@
+/**
+ * Just enough of the browser for the modules under test to run in Node:
+ * `document` is an EventTarget (ztgi:* events can be listened for) whose
+ * elements are inert stubs, and `navigator` reports a non-Mac platform.
+ */
+
+function createElement(tagName) {
+    return {
+        tagName: tagName.toUpperCase(),
+        nodeType: 1,
+        style: {},
+        children: [],
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        setAttribute() {},
+        appendChild(child) {
+            this.children.push(child);
+            return child;
+        },
+        remove() {},
+        addEventListener() {},
+        querySelector: () => null,
+        contains: () => false
+    };
+}
+
+function installDom() {
+    if (typeof globalThis.document === 'undefined') {
+        globalThis.document = Object.assign(new EventTarget(), {
+            body: createElement('body'),
+            head: createElement('head'),
+            activeElement: null,
+            createElement,
+            querySelector: () => null,
+            getElementById: () => null
+        });
+    }
+    if (typeof globalThis.navigator === 'undefined') {
+        globalThis.navigator = { platform: 'Linux', userAgent: 'node' };
+    }
+    if (typeof globalThis.requestAnimationFrame === 'undefined') {
+        globalThis.requestAnimationFrame = (fn) => setTimeout(fn, 0);
+    }
+}
+
+// Collect the detail of every `type` event until the returned stop() is called
+function listen(type) {
+    const events = [];
+    const onEvent = (e) => events.push(e.detail);
+    document.addEventListener(type, onEvent);
+    events.stop = () => document.removeEventListener(type, onEvent);
+    return events;
+}
+
+// A fetch response with a JSON body
+function jsonResponse(body, status = 200) {
+    return new Response(body === undefined ? '' : JSON.stringify(body), { status });
+}
+
+// Silence the router's console output for one test
+function quiet(t) {
+    ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+}
+
+export { installDom, listen, jsonResponse, quiet };
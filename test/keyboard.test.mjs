@@ -0,0 +1,202 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDom, quiet } from './helpers.mjs';
+import { KeyboardManager } from '../src/keyboard.js';
+
+installDom();
+
+// A quiet manager without the sequence hint and with a short sequence timeout
+function createKeyboard(t) {
+    quiet(t);
+    const keyboard = new KeyboardManager();
+    keyboard.showHint = () => {};
+    keyboard.hideHint = () => {};
+    keyboard.setSequenceTimeout(10);
+    return keyboard;
+}
+
+function keyEvent(key, code, modifiers = {}) {
+    return {
+        key,
+        code,
+        ctrlKey: false,
+        metaKey: false,
+        altKey: false,
+        shiftKey: false,
+        ...modifiers,
+        target: { nodeType: 1 },
+        defaultPrevented: false,
+        preventDefault() {
+            this.defaultPrevented = true;
+        }
+    };
+}
+
+// Handle a key press the way the document keydown listener does
+function press(keyboard, key, code = `Key${key.toUpperCase()}`, modifiers = {}) {
+    const e = keyEvent(key, code, modifiers);
+    keyboard.handleKey(keyboard.getKeyCandidates(e), e);
+    return e;
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('combos', () => {
+    const keyboard = new KeyboardManager();
+
+    test('normalizeCombo orders modifiers and resolves aliases', () => {
+        assert.equal(keyboard.normalizeCombo('Shift+Ctrl+K'), 'ctrl+shift+k');
+        assert.equal(keyboard.normalizeCombo('mod+k'), 'ctrl+k');
+        assert.equal(keyboard.normalizeCombo('cmd+option+p'), 'meta+alt+p');
+        assert.equal(keyboard.normalizeCombo('esc'), 'escape');
+        assert.equal(keyboard.normalizeCombo('ctrl++'), 'ctrl++');
+        assert.equal(keyboard.normalizeCombo(' g  i '), 'g i');
+    });
+
+    test('shifted symbols are matched as typed, or by position with physicalKeys', () => {
+        const local = new KeyboardManager();
+        const question = keyEvent('?', 'Slash', { shiftKey: true });
+        assert.deepEqual(local.getKeyCandidates(question), ['?']);
+        assert.deepEqual(local.getKeyCandidates(keyEvent('K', 'KeyK', { ctrlKey: true, shiftKey: true })), ['ctrl+shift+k']);
+
+        local.setPhysicalKeys(true);
+        assert.deepEqual(local.getKeyCandidates(question), ['shift+/', '?']);
+        assert.equal(local.getBindingKey(question), 'shift+/');
+    });
+
+    test('non-Latin layouts fall back to key position', () => {
+        const local = new KeyboardManager();
+        assert.deepEqual(local.getKeyCandidates(keyEvent('й', 'KeyQ')), ['й', 'q']);
+        local.setPhysicalKeys(true);
+        assert.deepEqual(local.getKeyCandidates(keyEvent('й', 'KeyQ')), ['q']);
+    });
+});
+
+describe('sequences', () => {
+    test('a sequence fires on its last key', (t) => {
+        const keyboard = createKeyboard(t);
+        const calls = [];
+        keyboard.register('g i', e => calls.push(e.key));
+
+        assert.equal(press(keyboard, 'g').defaultPrevented, true);
+        press(keyboard, 'i');
+        assert.deepEqual(calls, ['i']);
+        assert.equal(keyboard.pending, null);
+    });
+
+    test('a prefix bound on its own fires after the timeout with its own event', async (t) => {
+        const keyboard = createKeyboard(t);
+        const calls = [];
+        keyboard.register('g', e => calls.push(['g', e && e.key]));
+        keyboard.register('g i', () => calls.push(['g i']));
+
+        press(keyboard, 'g');
+        assert.deepEqual(calls, []);
+        await wait(30);
+        assert.deepEqual(calls, [['g', 'g']]);
+    });
+
+    test('a broken sequence fires the prefix, then the key on its own', (t) => {
+        const keyboard = createKeyboard(t);
+        const calls = [];
+        keyboard.register('g', e => calls.push(['g', e.key]));
+        keyboard.register('g i', () => calls.push(['g i']));
+        keyboard.register('x', e => calls.push(['x', e.key]));
+
+        press(keyboard, 'g');
+        press(keyboard, 'x');
+        assert.deepEqual(calls, [['g', 'g'], ['x', 'x']]);
+    });
+
+    test('escape abandons a pending sequence', async (t) => {
+        const keyboard = createKeyboard(t);
+        const calls = [];
+        keyboard.register('g', () => calls.push('g'));
+        keyboard.register('g i', () => calls.push('g i'));
+        keyboard.register('escape', () => calls.push('escape'));
+
+        press(keyboard, 'g');
+        press(keyboard, 'Escape', 'Escape');
+        await wait(30);
+        assert.deepEqual(calls, []);
+    });
+});
+
+describe('scopes', () => {
+    test('active scopes win over global, and exclusive ones stop plain keys', (t) => {
+        const keyboard = createKeyboard(t);
+        let active = false;
+        const calls = [];
+        keyboard.defineScope('panel', { when: () => active, priority: 10, exclusive: true });
+        keyboard.register('f', () => calls.push('panel f'), { scope: 'panel' });
+        keyboard.register('f', () => calls.push('global f'));
+        keyboard.register('d', () => calls.push('global d'));
+        keyboard.register('ctrl+k', () => calls.push('global ctrl+k'));
+
+        press(keyboard, 'f');
+        active = true;
+        press(keyboard, 'f');
+        press(keyboard, 'd');
+        press(keyboard, 'k', 'KeyK', { ctrlKey: true });
+        assert.deepEqual(calls, ['global f', 'panel f', 'global ctrl+k']);
+    });
+});
+
+describe('rebinding', () => {
+    test('rebind moves a binding and remembers it for later registrations', (t) => {
+        const keyboard = createKeyboard(t);
+        const calls = [];
+        keyboard.register('c', () => calls.push('copy'));
+        keyboard.rebind('c', 'shift+c');
+
+        press(keyboard, 'c');
+        press(keyboard, 'C', 'KeyC', { shiftKey: true });
+        assert.deepEqual(calls, ['copy']);
+        assert.deepEqual(keyboard.getOverrides(), { 'global:c': 'shift+c' });
+
+        keyboard.register('c', () => calls.push('copy again'));
+        press(keyboard, 'C', 'KeyC', { shiftKey: true });
+        assert.deepEqual(calls, ['copy', 'copy again']);
+        assert.equal(keyboard.resolveCombo('c'), 'shift+c');
+    });
+
+    test('rebinding onto a taken combo swaps the two bindings', (t) => {
+        const keyboard = createKeyboard(t);
+        const calls = [];
+        keyboard.register('a', () => calls.push('a'));
+        keyboard.register('b', () => calls.push('b'));
+        keyboard.rebind('a', 'b');
+
+        press(keyboard, 'a');
+        press(keyboard, 'b');
+        assert.deepEqual(calls, ['b', 'a']);
+        assert.deepEqual(keyboard.getOverrides(), { 'global:a': 'b', 'global:b': 'a' });
+    });
+
+    test('setOverrides replaces earlier overrides, including combos with a colon', (t) => {
+        const keyboard = createKeyboard(t);
+        keyboard.register(':', () => {});
+        keyboard.register('c', () => {});
+        keyboard.setOverrides({ 'global:c': 'shift+c' });
+        keyboard.setOverrides({ 'global::': 'ctrl+;' });
+
+        assert.deepEqual(keyboard.getOverrides(), { 'global::': 'ctrl+;' });
+        assert.equal(keyboard.resolveCombo(':'), 'ctrl+;');
+        assert.equal(keyboard.resolveCombo('c'), 'c');
+    });
+
+    test('getConflicts names browser shortcuts, bindings, prefixes and other scopes', (t) => {
+        const keyboard = createKeyboard(t);
+        keyboard.register('g i', () => {});
+        keyboard.register('x', () => {}, { scope: 'panel' });
+        keyboard.register('y', () => {});
+
+        const types = combo => keyboard.getConflicts(combo).map(conflict => conflict.type);
+        assert.deepEqual(types('mod+w'), ['browser']);
+        assert.equal(keyboard.getConflicts('mod+w')[0].blocked, true);
+        assert.deepEqual(types('y'), ['binding']);
+        assert.deepEqual(types('g'), ['prefix']);
+        assert.deepEqual(types('x'), ['scope']);
+        assert.deepEqual(keyboard.getConflicts('y', 'global', 'y'), []);
+    });
+});